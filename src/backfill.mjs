@@ -0,0 +1,61 @@
+import { NDKRelaySet } from '@nostr-dev-kit/ndk'
+
+// events asked for per page, relays may return fewer, many cap results at 500
+export const DEFAULT_BACKFILL_PAGE_SIZE = 500
+
+/**
+* Pages backward through one relay (or the whole pool without relaySet) until a page brings nothing new.
+* The cursor is inclusive, events sharing the oldest timestamp of a page are asked for again rather than skipped
+*/
+async function fetchRelayHistory (ndk, filter, { relaySet, pageSize, events, onPage }) {
+  const seen = new Set()
+  let until
+  let limit = pageSize
+  while (true) {
+    const page = await ndk.fetchEvents(
+      { ...filter, limit, ...(until === undefined ? {} : { until }) },
+      { closeOnEose: true, groupable: false },
+      relaySet
+    )
+    const added = Array.from(page).filter(event => !seen.has(event.id))
+    if (added.length === 0) {
+      if (page.size < limit) {
+        return
+      }
+      // one second holds more than a full page, ask for more until the relay returns less than asked
+      limit *= 2
+      continue
+    }
+    limit = pageSize
+    added.forEach(event => {
+      seen.add(event.id)
+      events.set(event.id, event)
+    })
+    until = Math.min(...added.map(event => event.created_at))
+    onPage({ relay: relaySet === undefined ? undefined : Array.from(relaySet.relays)[0].url, fetched: events.size, until })
+  }
+}
+
+/**
+* Resolves with every event matching filter on relays (every connected relay by default), without duplicates.
+* `onPage({ relay, fetched, until })` reports progress after each page
+*/
+export async function fetchHistory (ndk, filter, {
+  relays = ndk.pool.connectedRelays(),
+  pageSize = DEFAULT_BACKFILL_PAGE_SIZE,
+  onPage = () => {}
+} = {}) {
+  const events = new Map()
+  if (relays.length === 0) {
+    await fetchRelayHistory(ndk, filter, { pageSize, events, onPage })
+  } else {
+    // relays cap and order results differently, each one is walked to its end
+    await Promise.all(relays.map(relay => fetchRelayHistory(ndk, filter, {
+      relaySet: new NDKRelaySet(new Set([relay]), ndk),
+      pageSize,
+      events,
+      onPage
+    })))
+  }
+  return Array.from(events.values())
+}
@@ -0,0 +1,101 @@
+import { uuidv4 } from 'lib0/random'
+
+// ['chunk', group id, index, total] splits one update over several events
+export const CHUNK_TAG = 'chunk'
+export const MAX_CHUNKS = 1024
+// remembered so copies of a chunk from other relays don't open a new group
+const MAX_COMPLETED_GROUPS = 1024
+
+export function chunkTags (content, chunkSize) {
+  const total = Math.ceil(content.length / chunkSize)
+  const groupId = uuidv4()
+  return Array.from({ length: total }, (_, index) => ({
+    tag: [CHUNK_TAG, groupId, String(index), String(total)],
+    content: content.slice(index * chunkSize, (index + 1) * chunkSize)
+  }))
+}
+
+/**
+* Returns undefined for events that are not chunks, null for malformed chunk tags
+*/
+export function chunkFromTags (tags) {
+  const tag = tags.find(tag => tag[0] === CHUNK_TAG)
+  if (tag === undefined) {
+    return undefined
+  }
+  const [, groupId, indexString, totalString] = tag
+  const index = Number(indexString)
+  const total = Number(totalString)
+  if (
+    typeof groupId !== 'string' || groupId === '' ||
+    !Number.isInteger(index) || !Number.isInteger(total) ||
+    index < 0 || index >= total || total > MAX_CHUNKS
+  ) {
+    return null
+  }
+  return { groupId, index, total }
+}
+
+/**
+* Collects chunks per author and group until all of them arrived
+*/
+export class ChunkAssembler {
+  constructor ({ timeout, onTimeout }) {
+    this.timeout = timeout
+    this.onTimeout = onTimeout
+    this.groups = new Map()
+    this.completedGroups = new Set()
+  }
+
+  /**
+  * Returns the reassembled content once the last missing chunk arrives
+  */
+  add (event, { groupId, index, total }) {
+    const key = `${event.pubkey}:${groupId}`
+    if (this.completedGroups.has(key)) {
+      return
+    }
+    let group = this.groups.get(key)
+    if (group === undefined) {
+      group = {
+        firstEvent: event,
+        total,
+        parts: new Array(total),
+        received: 0,
+        timer: setTimeout(() => {
+          this.groups.delete(key)
+          this.onTimeout(group.firstEvent)
+        }, this.timeout)
+      }
+      this.groups.set(key, group)
+    }
+    if (group.total !== total || group.parts[index] !== undefined) {
+      return
+    }
+    group.parts[index] = event.content
+    group.received++
+    if (group.received < group.total) {
+      return
+    }
+    clearTimeout(group.timer)
+    this.groups.delete(key)
+    this.completedGroups.add(key)
+    if (this.completedGroups.size > MAX_COMPLETED_GROUPS) {
+      this.completedGroups.delete(this.completedGroups.values().next().value)
+    }
+    return group.parts.join('')
+  }
+
+  /**
+  * Drops partial groups and forgets completed ones
+  */
+  reset () {
+    this.groups.forEach(group => clearTimeout(group.timer))
+    this.groups.clear()
+    this.completedGroups.clear()
+  }
+
+  destroy () {
+    this.reset()
+  }
+}
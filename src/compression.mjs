@@ -0,0 +1,69 @@
+import {
+  Gunzip,
+  Inflate,
+  deflateSync,
+  gzipSync
+} from 'fflate'
+
+// ['content-encoding', codec name] marks compressed payloads, untagged events are raw
+export const CONTENT_ENCODING_TAG = 'content-encoding'
+
+// compressed input is fed in slices this large, deflate expands one slice to about a megabyte at most
+const SLICE_SIZE = 1024
+
+/**
+* Runs a fflate stream over bytes and throws once the output grows past maxSize, a small
+* decompression bomb would fill memory otherwise
+*/
+function decompressBounded (Stream, bytes, maxSize = Infinity) {
+  const parts = []
+  let size = 0
+  const stream = new Stream((part) => {
+    size += part.length
+    if (size > maxSize) {
+      throw new Error(`decompressed payload is larger than ${maxSize} bytes`)
+    }
+    parts.push(part)
+  })
+  let offset = 0
+  do {
+    stream.push(bytes.subarray(offset, offset + SLICE_SIZE), offset + SLICE_SIZE >= bytes.length)
+    offset += SLICE_SIZE
+  } while (offset < bytes.length)
+  const payload = new Uint8Array(size)
+  parts.reduce((position, part) => {
+    payload.set(part, position)
+    return position + part.length
+  }, 0)
+  return payload
+}
+
+/**
+* Codecs compress a payload, and decompress it to at most maxSize bytes or throw
+*/
+export const deflateCodec = {
+  name: 'deflate',
+  compress: (bytes) => deflateSync(bytes),
+  decompress: (bytes, maxSize) => decompressBounded(Inflate, bytes, maxSize)
+}
+
+export const gzipCodec = {
+  name: 'gzip',
+  compress: (bytes) => gzipSync(bytes),
+  decompress: (bytes, maxSize) => decompressBounded(Gunzip, bytes, maxSize)
+}
+
+/**
+* Codecs by name, the built-in ones plus whatever the app registers
+*/
+export function codecRegistry (codecs = []) {
+  return new Map(
+    [deflateCodec, gzipCodec, ...codecs]
+      .filter(codec => codec !== undefined)
+      .map(codec => [codec.name, codec])
+  )
+}
+
+export function contentEncodingFromTags (tags) {
+  return tags.find(tag => tag[0] === CONTENT_ENCODING_TAG)?.[1]
+}
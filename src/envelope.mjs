@@ -0,0 +1,67 @@
+import { toBase64, fromBase64 } from 'lib0/buffer'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import { isBase64 } from './util.mjs'
+
+// ':' is not a base64 character, so legacy contents (plain base64) never start with the prefix
+export const ENVELOPE_PREFIX = 'env:'
+export const ENVELOPE_VERSION = 1
+
+/**
+* Event content for an encrypted payload: version, cipher id, key epoch, nonce and payload,
+* so readers pick the decoder per event
+*/
+export function encodeEnvelope ({ cipher, epoch, nonce = new Uint8Array(0), payload }) {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, ENVELOPE_VERSION)
+  encoding.writeVarString(encoder, cipher)
+  encoding.writeVarUint(encoder, epoch)
+  encoding.writeVarUint8Array(encoder, nonce)
+  encoding.writeVarUint8Array(encoder, payload)
+  return ENVELOPE_PREFIX + toBase64(encoding.toUint8Array(encoder))
+}
+
+/**
+* Returns undefined for contents without an envelope, throws for malformed envelopes and unknown versions
+*/
+export function decodeEnvelope (content) {
+  if (!content.startsWith(ENVELOPE_PREFIX)) {
+    return undefined
+  }
+  const body = content.slice(ENVELOPE_PREFIX.length)
+  if (!isBase64(body)) {
+    throw new Error('envelope is not base64')
+  }
+  const decoder = decoding.createDecoder(fromBase64(body))
+  const version = decoding.readVarUint(decoder)
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`unsupported envelope version ${version}`)
+  }
+  return {
+    version,
+    cipher: decoding.readVarString(decoder),
+    epoch: decoding.readVarUint(decoder),
+    nonce: decoding.readVarUint8Array(decoder),
+    payload: decoding.readVarUint8Array(decoder)
+  }
+}
+
+/**
+* A cipher is { id, encrypt, decrypt }. encrypt(payload, { epoch }) returns the ciphertext, or
+* { nonce, payload } for ciphers that keep the nonce apart, and may return a promise.
+* decrypt(payload, { nonce, epoch, event }) returns the plaintext, or a promise of it
+*/
+export function cipherRegistry (ciphers = []) {
+  return new Map(
+    ciphers
+      .filter(cipher => cipher?.id !== undefined)
+      .map(cipher => [cipher.id, cipher])
+  )
+}
+
+/**
+* Normalizes what a cipher's encrypt returned to { nonce, payload }
+*/
+export function sealedParts (sealed) {
+  return sealed instanceof Uint8Array ? { payload: sealed } : sealed
+}
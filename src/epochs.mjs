@@ -0,0 +1,17 @@
+// ['epoch', n] names the key an event was encrypted with, untagged events belong to epoch 0
+export const EPOCH_TAG = 'epoch'
+
+export function epochTags (epoch) {
+  return epoch === 0 ? [] : [[EPOCH_TAG, String(epoch)]]
+}
+
+/**
+* Returns null for a malformed epoch tag
+*/
+export function epochFromTags (tags) {
+  const value = tags.find(tag => tag[0] === EPOCH_TAG)?.[1]
+  if (value === undefined) {
+    return 0
+  }
+  return /^[0-9]+$/.test(value) ? Number(value) : null
+}
@@ -0,0 +1,11 @@
+/**
+* Thrown by createNostrCRDTRoom when the room event could not be signed, or too few relays stored it.
+* receipts holds the per-relay { relay, ok, error } results when publishing was attempted
+*/
+export class RoomCreationError extends Error {
+  constructor (message, { receipts = [], cause } = {}) {
+    super(message, { cause })
+    this.name = 'RoomCreationError'
+    this.receipts = receipts
+  }
+}
@@ -0,0 +1,38 @@
+const REVERT_ORIGIN = 'revert'
+
+/**
+* Oldest first, a chunked update sorts by its last chunk
+*/
+export function byCreatedAt (a, b) {
+  return a.created_at - b.created_at
+}
+
+/**
+* Returns the entries up to and including target, an event id or a unix timestamp in seconds.
+* Throws for an event id that isn't in the history
+*/
+export function entriesUntil (history, target) {
+  if (typeof target === 'number') {
+    return history.filter(entry => entry.createdAt <= target)
+  }
+  const index = history.findIndex(entry => entry.id === target || entry.eventIds.includes(target))
+  if (index === -1) {
+    throw new Error(`no update ${target} in the history of this room`)
+  }
+  return history.slice(0, index + 1)
+}
+
+/**
+* An update that brings doc back to the content of targetDoc, an earlier version of it.
+* Undoes everything added since on a scratch copy, so deleted content comes back as new items
+*/
+export function revertUpdate (yjs, doc, targetDoc) {
+  const revertDoc = new yjs.Doc()
+  yjs.applyUpdate(revertDoc, yjs.encodeStateAsUpdate(targetDoc))
+  const scope = Array.from(doc.share, ([name, type]) => revertDoc.get(name, type.constructor))
+  const undoManager = new yjs.UndoManager(scope, { trackedOrigins: new Set([REVERT_ORIGIN]) })
+  yjs.applyUpdate(revertDoc, yjs.encodeStateAsUpdate(doc, yjs.encodeStateVector(targetDoc)), REVERT_ORIGIN)
+  undoManager.undo()
+  undoManager.destroy()
+  return yjs.encodeStateAsUpdate(revertDoc, yjs.encodeStateVector(doc))
+}
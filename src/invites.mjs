@@ -0,0 +1,62 @@
+import * as nip19 from 'nostr-tools/nip19'
+import { toHexString } from 'lib0/buffer'
+import { nip44RoomKeyCipher } from './nip44.mjs'
+
+export const INVITE_SCHEME = 'nostr:'
+
+/**
+* Returns a `nostr:nevent1...` URI for the room event, with relay hints, author and kind.
+* key (a room key for nip44RoomKeyCipher) and readOnly travel as query parameters,
+* anyone holding an invite with a key can read the room
+*/
+export function encodeRoomInvite (room, { relays = room.relays ?? [], key, readOnly = false } = {}) {
+  const nevent = nip19.neventEncode({
+    id: room.id,
+    relays,
+    author: room.author,
+    kind: room.kind
+  })
+  const params = new URLSearchParams()
+  if (key !== undefined) {
+    params.set('key', typeof key === 'string' ? key : toHexString(key))
+  }
+  if (readOnly) {
+    params.set('readonly', '1')
+  }
+  const query = params.toString()
+  return `${INVITE_SCHEME}${nevent}${query === '' ? '' : `?${query}`}`
+}
+
+/**
+* Parses an invite, with or without the nostr: prefix, into { id, relays, author, kind, key, readOnly }.
+* Throws on anything that isn't a room invite
+*/
+export function decodeRoomInvite (invite) {
+  const [nevent, query = ''] = invite.trim().replace(INVITE_SCHEME, '').split('?')
+  const { type, data } = nip19.decode(nevent)
+  if (type !== 'nevent') {
+    throw new Error(`expected an nevent room invite, got ${type}`)
+  }
+  const params = new URLSearchParams(query)
+  return {
+    id: data.id,
+    relays: data.relays ?? [],
+    author: data.author,
+    kind: data.kind,
+    key: params.get('key') ?? undefined,
+    readOnly: params.get('readonly') === '1'
+  }
+}
+
+/**
+* NostrProvider params for a decoded invite, a key sets up the room key cipher
+*/
+export function providerParamsFromInvite ({ id, relays, kind, key, readOnly }) {
+  return {
+    nostrRoomCreateEventId: id,
+    ...(kind === undefined ? {} : { YJS_UPDATE_EVENT_KIND: kind }),
+    ...(relays.length === 0 ? {} : { explicitRelayUrls: relays }),
+    ...(key === undefined ? {} : { cipher: nip44RoomKeyCipher(key) }),
+    readOnly
+  }
+}
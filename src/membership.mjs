@@ -0,0 +1,50 @@
+import { fromBase64, toBase64 } from 'lib0/buffer'
+import { isBase64 } from './util.mjs'
+
+// parameterized replaceable, the room owner's latest member list
+export const DEFAULT_MEMBERSHIP_EVENT_KIND = 30902
+// members are listed as ['p', pubkey, relay hint, role] tags, like NIP-53 participants
+export const ROLE_OWNER = 'owner'
+export const ROLE_WRITER = 'writer'
+export const ROLE_READER = 'reader'
+// removed writers keep, as the tag's fifth value, the yjs snapshot of the owner's document when they were removed
+// and, as the sixth, the room of that document: child rooms follow their parent's member list. Their updates
+// within it stay valid, a timestamp would let them backdate new ones
+export const ROLE_FORMER_WRITER = 'former-writer'
+
+export function membershipTags ({ owner, writers = [], readers = [], formerWriters = new Map() }) {
+  return [
+    ...(owner === undefined ? [] : [['p', owner, '', ROLE_OWNER]]),
+    ...Array.from(new Set(writers))
+      .filter(pubkey => pubkey !== owner)
+      .map(pubkey => ['p', pubkey, '', ROLE_WRITER]),
+    ...Array.from(new Set(readers))
+      .filter(pubkey => pubkey !== owner && !writers.includes(pubkey))
+      .map(pubkey => ['p', pubkey, '', ROLE_READER]),
+    ...Array.from(formerWriters)
+      .filter(([pubkey]) => pubkey !== owner && !writers.includes(pubkey))
+      .flatMap(([pubkey, snapshots]) => Array.from(snapshots, ([room, snapshot]) => ['p', pubkey, '', ROLE_FORMER_WRITER, toBase64(snapshot), room]))
+  ]
+}
+
+/**
+* Returns undefined for rooms without a member list, anyone may write to those
+*/
+export function membershipFromTags (tags) {
+  const memberTags = tags.filter(tag => tag[0] === 'p' && [ROLE_OWNER, ROLE_WRITER, ROLE_READER, ROLE_FORMER_WRITER].includes(tag[3]))
+  if (memberTags.length === 0) {
+    return undefined
+  }
+  const pubkeysWithRole = role => memberTags
+    .filter(tag => tag[3] === role)
+    .map(tag => tag[1])
+  return {
+    owner: pubkeysWithRole(ROLE_OWNER)[0],
+    writers: new Set(pubkeysWithRole(ROLE_WRITER)),
+    readers: new Set(pubkeysWithRole(ROLE_READER)),
+    // pubkey to room to snapshot
+    formerWriters: memberTags
+      .filter(tag => tag[3] === ROLE_FORMER_WRITER && isBase64(tag[4]) && typeof tag[5] === 'string')
+      .reduce((formerWriters, tag) => formerWriters.set(tag[1], new Map(formerWriters.get(tag[1])).set(tag[5], fromBase64(tag[4]))), new Map())
+  }
+}
@@ -0,0 +1,111 @@
+import { v2 as nip44 } from 'nostr-tools/nip44'
+import { generateSecretKey } from 'nostr-tools/pure'
+import { NDKUser } from '@nostr-dev-kit/ndk'
+import {
+  toBase64,
+  fromBase64,
+  toHexString,
+  fromHexString
+} from 'lib0/buffer'
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+
+// cipher ids written to encryption envelopes
+export const NIP44_ROOM_KEY_CIPHER = 'nip44-room-key'
+export const NIP44_SIGNER_CIPHER = 'nip44-signer'
+
+// nip-44 takes at most 65535 bytes of plaintext, this many bytes still fit after base64
+const MAX_FRAME_BYTES = 3 * 16383
+
+function writeSealedFrames (encoder, payload, conversationKey) {
+  const frameCount = Math.ceil(payload.length / MAX_FRAME_BYTES)
+  encoding.writeVarUint(encoder, frameCount)
+  for (let i = 0; i < frameCount; i++) {
+    const frame = payload.subarray(i * MAX_FRAME_BYTES, (i + 1) * MAX_FRAME_BYTES)
+    encoding.writeVarUint8Array(encoder, fromBase64(nip44.encrypt(toBase64(frame), conversationKey)))
+  }
+}
+
+function readSealedFrames (decoder, conversationKey) {
+  const frameCount = decoding.readVarUint(decoder)
+  const frames = []
+  for (let i = 0; i < frameCount; i++) {
+    frames.push(fromBase64(nip44.decrypt(toBase64(decoding.readVarUint8Array(decoder)), conversationKey)))
+  }
+  const payload = new Uint8Array(frames.reduce((length, frame) => length + frame.length, 0))
+  frames.reduce((offset, frame) => {
+    payload.set(frame, offset)
+    return offset + frame.length
+  }, 0)
+  return payload
+}
+
+/**
+* 32 random bytes, share them with the room members out of band or through an invite
+*/
+export function generateRoomKey () {
+  return generateSecretKey()
+}
+
+/**
+* encrypt/decrypt hooks for rooms where every member holds the same secret key
+*/
+export function nip44RoomKeyCipher (roomKey) {
+  const conversationKey = typeof roomKey === 'string' ? fromHexString(roomKey) : roomKey
+  return {
+    id: NIP44_ROOM_KEY_CIPHER,
+    encrypt: (payload) => {
+      const encoder = encoding.createEncoder()
+      writeSealedFrames(encoder, payload, conversationKey)
+      return encoding.toUint8Array(encoder)
+    },
+    decrypt: (payload) => readSealedFrames(decoding.createDecoder(payload), conversationKey)
+  }
+}
+
+/**
+* encrypt/decrypt hooks that seal every payload with a fresh key, wrapped for each recipient
+* through the nip-44 support of an NDK signer (private key, NIP-07 or NIP-46).
+* recipients is a list of pubkeys, or a function returning one, the signer's own pubkey is always added
+*/
+export function nip44SignerCipher ({ signer, recipients }) {
+  return {
+    id: NIP44_SIGNER_CIPHER,
+    encrypt: async (payload) => {
+      const self = (await signer.user()).pubkey
+      const recipientPubkeys = typeof recipients === 'function' ? await recipients() : recipients
+      const pubkeys = Array.from(new Set([self, ...recipientPubkeys]))
+      const contentKey = generateSecretKey()
+      const wrappedKeys = await Promise.all(pubkeys.map(pubkey =>
+        signer.encrypt(new NDKUser({ pubkey }), toHexString(contentKey), 'nip44')
+      ))
+      const encoder = encoding.createEncoder()
+      encoding.writeVarUint(encoder, pubkeys.length)
+      pubkeys.forEach((pubkey, i) => {
+        encoding.writeVarString(encoder, pubkey)
+        encoding.writeVarString(encoder, wrappedKeys[i])
+      })
+      writeSealedFrames(encoder, payload, contentKey)
+      return encoding.toUint8Array(encoder)
+    },
+    decrypt: async (payload, { event }) => {
+      const self = (await signer.user()).pubkey
+      const decoder = decoding.createDecoder(payload)
+      const recipientCount = decoding.readVarUint(decoder)
+      let wrappedKey
+      for (let i = 0; i < recipientCount; i++) {
+        const pubkey = decoding.readVarString(decoder)
+        const wrapped = decoding.readVarString(decoder)
+        if (pubkey === self) {
+          wrappedKey = wrapped
+        }
+      }
+      if (wrappedKey === undefined) {
+        // not one of the recipients
+        return undefined
+      }
+      const contentKey = await signer.decrypt(new NDKUser({ pubkey: event.pubkey }), wrappedKey, 'nip44')
+      return readSealedFrames(decoder, fromHexString(contentKey))
+    }
+  }
+}
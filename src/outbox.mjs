@@ -0,0 +1,183 @@
+import * as random from 'lib0/random'
+
+// milliseconds before the first retry, doubled after every failed attempt up to the maximum
+export const DEFAULT_RETRY_DELAY = 1000
+export const DEFAULT_MAX_RETRY_DELAY = 60 * 1000
+
+/**
+* Keeps unacknowledged updates in memory, so they only survive a reconnect.
+* Persistent stores (IndexedDB, a file ...) implement the same three async methods,
+* `room` keeps the updates of several rooms apart in one store
+*/
+export class MemoryOutboxStore {
+  rooms = new Map()
+
+  /**
+  * Resolves with [{ id, update }] in the order they were put
+  */
+  async getAll (room) {
+    return Array.from(this.rooms.get(room) ?? [], ([id, update]) => ({ id, update }))
+  }
+
+  async put (room, id, update) {
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Map())
+    }
+    this.rooms.get(room).set(id, update)
+  }
+
+  async delete (room, id) {
+    this.rooms.get(room)?.delete(id)
+  }
+}
+
+/**
+* Publishes updates until enough relays acknowledge them, retrying with exponential backoff.
+* `publish(update)` resolves with the per-relay receipts of the update, and rejects when the update
+* can't be signed: no retry is scheduled for that, a signer asking the user would ask again and again.
+* Failing publishes and stores are reported with `onError(error)`, the updates stay queued in memory
+*/
+export class Outbox {
+  constructor ({ store, room, publish, requiredAcks, retryDelay, maxRetryDelay, onDrained, onError }) {
+    this.store = store
+    this.room = room
+    this.publish = publish
+    this.requiredAcks = requiredAcks
+    this.retryDelay = retryDelay
+    this.maxRetryDelay = maxRetryDelay
+    this.onDrained = onDrained
+    this.onError = onError
+    this.entries = new Map()
+    this.inFlight = new Set()
+    this.paused = true
+    this.failedAttempts = 0
+    this.retryTimer = undefined
+    this.loaded = false
+  }
+
+  get size () {
+    return this.entries.size
+  }
+
+  /**
+  * Reads updates left over from an earlier session, resolves with them on the first call only
+  */
+  async load () {
+    if (this.loaded) {
+      return []
+    }
+    this.loaded = true
+    const stored = await this.storeCall(() => this.store.getAll(this.room)) ?? []
+    const restored = stored.filter(({ id }) => !this.entries.has(id))
+    restored.forEach(({ id, update }) => this.entries.set(id, update))
+    return restored.map(({ update }) => update)
+  }
+
+  /**
+  * Swaps everything queued for one update that covers it, like the diff against the relays after a sync
+  */
+  async replace (update) {
+    const superseded = Array.from(this.entries.keys()).filter(id => !this.inFlight.has(id))
+    if (update !== undefined) {
+      await this.add(update)
+    }
+    superseded.forEach(id => this.entries.delete(id))
+    await Promise.all(superseded.map(id => this.storeCall(() => this.store.delete(this.room, id))))
+    if (superseded.length > 0 && this.entries.size === 0) {
+      this.onDrained()
+    }
+  }
+
+  /**
+  * Publishes right away unless paused, updates added while paused wait for resume()
+  */
+  async add (update) {
+    const id = random.uuidv4()
+    const paused = this.paused
+    this.entries.set(id, update)
+    await this.storeCall(() => this.store.put(this.room, id, update))
+    if (!paused) {
+      await this.send(id)
+    }
+  }
+
+  /**
+  * Starts publishing again, right away instead of waiting for the next retry
+  */
+  resume () {
+    this.paused = false
+    this.failedAttempts = 0
+    return this.flush()
+  }
+
+  pause () {
+    this.paused = true
+    this.clearRetry()
+  }
+
+  flush () {
+    this.clearRetry()
+    return Promise.all(Array.from(this.entries.keys(), id => this.send(id)))
+  }
+
+  async send (id) {
+    if (this.inFlight.has(id) || !this.entries.has(id)) {
+      return
+    }
+    this.inFlight.add(id)
+    let receipts
+    try {
+      receipts = await this.publish(this.entries.get(id))
+    } catch (error) {
+      this.inFlight.delete(id)
+      this.onError(error)
+      return
+    }
+    const acks = receipts.filter(receipt => receipt.ok).length
+    this.inFlight.delete(id)
+    if (acks >= this.requiredAcks) {
+      this.entries.delete(id)
+      this.failedAttempts = 0
+      await this.storeCall(() => this.store.delete(this.room, id))
+      if (this.entries.size === 0) {
+        this.onDrained()
+      }
+      return
+    }
+    this.scheduleRetry()
+  }
+
+  /**
+  * Resolves with what the store call resolved with, undefined when it failed
+  */
+  async storeCall (call) {
+    try {
+      return await call()
+    } catch (error) {
+      this.onError(error)
+    }
+  }
+
+  scheduleRetry () {
+    if (this.paused || this.retryTimer !== undefined) {
+      return
+    }
+    const delay = Math.min(this.retryDelay * 2 ** this.failedAttempts, this.maxRetryDelay)
+    this.failedAttempts++
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = undefined
+      this.flush().catch(this.onError)
+    }, delay)
+  }
+
+  clearRetry () {
+    if (this.retryTimer !== undefined) {
+      clearTimeout(this.retryTimer)
+      this.retryTimer = undefined
+    }
+  }
+
+  destroy () {
+    this.pause()
+  }
+}
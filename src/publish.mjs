@@ -0,0 +1,67 @@
+import {
+  NDKEvent,
+  NDKPublishError,
+  NDKRelaySet,
+  calculateRelaySetFromEvent
+} from '@nostr-dev-kit/ndk'
+
+// milliseconds to wait for each relay's OK
+export const DEFAULT_PUBLISH_TIMEOUT = 10 * 1000
+
+/**
+* Signs with the given NDK signer (private key, NIP-07, NIP-46 ...), or the ndk instance's signer
+*/
+export async function signEvent ({ ndk, signer, kind, tags, content, createdAt }) {
+  const event = new NDKEvent(ndk, {
+    kind,
+    tags,
+    content,
+    created_at: createdAt
+  })
+  await event.sign(signer)
+  return event
+}
+
+/**
+* Publishes a signed event to relayUrls, or the relays NDK picks, resolves with one receipt per relay:
+* { relay, ok, error }
+*/
+export async function publishSignedEvent ({ ndk, event, relayUrls, timeout = DEFAULT_PUBLISH_TIMEOUT }) {
+  const relaySet = relayUrls?.length > 0
+    ? NDKRelaySet.fromRelayUrls(relayUrls, ndk)
+    : await calculateRelaySetFromEvent(ndk, event)
+  let publishedToRelays
+  let errors = new Map()
+  try {
+    // requiring every relay makes NDK report each failure instead of settling for the first OK
+    publishedToRelays = await event.publish(relaySet, timeout, relaySet.size)
+  } catch (error) {
+    if (!(error instanceof NDKPublishError)) {
+      throw error
+    }
+    publishedToRelays = error.publishedToRelays
+    errors = error.errors
+  }
+  return Array.from(relaySet.relays).map(relay => ({
+    relay: relay.url,
+    ok: publishedToRelays.has(relay),
+    error: errors.get(relay)
+  }))
+}
+
+/**
+* Combines the receipts of events that only make sense together, like the chunks of one update:
+* a relay is ok when it acknowledged all of them
+*/
+export function mergeReceipts (receiptLists) {
+  const byRelay = new Map()
+  receiptLists.flat().forEach(({ relay, ok, error }) => {
+    const previous = byRelay.get(relay)
+    byRelay.set(relay, {
+      relay,
+      ok: (previous?.ok ?? true) && ok,
+      error: previous?.error ?? error
+    })
+  })
+  return Array.from(byRelay.values())
+}
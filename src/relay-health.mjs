@@ -0,0 +1,87 @@
+// NDKRelayStatus.CONNECTED, the statuses above it are authentication steps on a connected socket
+const NDK_RELAY_CONNECTED = 5
+
+export const RELAY_CONNECTING = 'connecting'
+export const RELAY_CONNECTED = 'connected'
+export const RELAY_DISCONNECTED = 'disconnected'
+// ndk pool events to the relay status they report
+export const RELAY_POOL_EVENTS = {
+  'relay:connecting': RELAY_CONNECTING,
+  'relay:connect': RELAY_CONNECTED,
+  'relay:disconnect': RELAY_DISCONNECTED
+}
+
+/**
+* Follows the connection status of every relay in an ndk pool, how often it dropped and
+* the created_at of the newest room event it delivered. `onChange(status, previousStatus)` runs on every change.
+* With `listen: false` it doesn't listen to the pool itself, whoever does calls relayChanged()
+*/
+export class RelayHealth {
+  constructor ({ pool, onChange, listen = true }) {
+    this.pool = pool
+    this.onChange = onChange
+    this.listen = listen
+    this.relays = new Map()
+    this.started = false
+    this.listeners = Object.entries(RELAY_POOL_EVENTS).map(([name, status]) => [name, (relay) => this.relayChanged(relay, status)])
+  }
+
+  start () {
+    if (this.started) {
+      return
+    }
+    this.started = true
+    this.pool.relays.forEach(relay => {
+      this.update(relay.url, relay.status >= NDK_RELAY_CONNECTED ? RELAY_CONNECTED : RELAY_DISCONNECTED)
+    })
+    if (this.listen) {
+      this.listeners.forEach(([name, listener]) => this.pool.on(name, listener))
+    }
+  }
+
+  stop () {
+    if (!this.started) {
+      return
+    }
+    this.started = false
+    if (this.listen) {
+      this.listeners.forEach(([name, listener]) => this.pool.off(name, listener))
+    }
+  }
+
+  relayChanged (relay, status) {
+    if (this.started) {
+      this.update(relay.url, status)
+    }
+  }
+
+  update (url, status) {
+    const previous = this.relays.get(url)
+    if (previous?.status === status) {
+      return
+    }
+    const next = {
+      url,
+      status,
+      lastSeen: previous?.lastSeen,
+      disconnects: (previous?.disconnects ?? 0) + (previous?.status === RELAY_CONNECTED && status === RELAY_DISCONNECTED ? 1 : 0),
+      since: Date.now()
+    }
+    this.relays.set(url, next)
+    this.onChange({ ...next }, previous?.status)
+  }
+
+  seen (url, createdAt) {
+    const relay = this.relays.get(url)
+    if (relay !== undefined && (relay.lastSeen ?? -1) < createdAt) {
+      relay.lastSeen = createdAt
+    }
+  }
+
+  /**
+  * { [url]: { url, status, lastSeen, disconnects, since } }
+  */
+  toJSON () {
+    return Object.fromEntries(Array.from(this.relays, ([url, relay]) => [url, { ...relay }]))
+  }
+}
@@ -0,0 +1,180 @@
+import { ObservableV2 } from 'lib0/observable'
+import { isNode } from 'lib0/environment'
+import { NostrProvider } from './y-ndk.mjs'
+import { RELAY_POOL_EVENTS } from './relay-health.mjs'
+
+// room ids per #e filter, relays limit the number of tag values in one filter
+export const DEFAULT_MAX_ROOMS_PER_FILTER = 100
+// milliseconds to collect room changes before replacing the shared subscription
+export const DEFAULT_RESUBSCRIBE_DELAY = 50
+
+/**
+* Owns the ndk connection for many rooms and keeps one subscription for all of them: per event kind,
+* room ids are batched into #e filters and incoming events are routed to the providers by their e tag.
+* The pool's relay events and the page or process exit are listened to once as well, and passed on to every room.
+* Providers opened here keep the NostrProvider API, other params are defaults for every room
+*/
+export class RoomManager extends ObservableV2 {
+  constructor ({
+    ndk,
+    maxRoomsPerFilter = DEFAULT_MAX_ROOMS_PER_FILTER,
+    resubscribeDelay = DEFAULT_RESUBSCRIBE_DELAY,
+    ...providerParams
+  }) {
+    super()
+    this.ndk = ndk
+    this.maxRoomsPerFilter = maxRoomsPerFilter
+    this.resubscribeDelay = resubscribeDelay
+    this.providerParams = providerParams
+    // room id to provider
+    this.rooms = new Map()
+    this.listeners = new Set()
+    this.sub = undefined
+    this.resubscribeTimeout = undefined
+    this.poolListeners = Object.entries(RELAY_POOL_EVENTS).map(([name, status]) => [
+      name,
+      (relay) => this.rooms.forEach(provider => provider.relayHealth.relayChanged(relay, status))
+    ])
+    this.poolListeners.forEach(([name, listener]) => ndk.pool.on(name, listener))
+    if (isNode) {
+      process.on('exit', this.exitHandler)
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.pagehideHandler)
+      window.addEventListener('pageshow', this.pageshowHandler)
+    }
+  }
+
+  exitHandler = () => this.rooms.forEach(provider => provider.exitHandler())
+  pagehideHandler = () => this.rooms.forEach(provider => provider.pagehideHandler())
+  pageshowHandler = (event) => this.rooms.forEach(provider => provider.pageshowHandler(event))
+
+  /**
+  * Returns the provider of a room, creating it on first use. Connecting is left to the caller
+  */
+  openRoom (params) {
+    const room = params.nostrRoomCreateEventId
+    if (room !== undefined && this.rooms.has(room)) {
+      return this.rooms.get(room)
+    }
+    const provider = new NostrProvider({ ...this.providerParams, ...params, ndk: this.ndk, roomManager: this })
+    this.rooms.set(provider.nostrRoomCreateEventId, provider)
+    this.emit('room-opened', [provider])
+    return provider
+  }
+
+  closeRoom (room) {
+    const provider = this.rooms.get(room)
+    if (provider === undefined) {
+      return
+    }
+    this.rooms.delete(room)
+    provider.destroy()
+    this.emit('room-closed', [provider])
+  }
+
+  /**
+  * Listens to events of one kind tagged with a room. onEose runs once the shared subscription
+  * caught up with the listener's since. Returns a handle with stop()
+  */
+  subscribe ({ room, kind, since, onEvent, onEose }) {
+    const listener = { room, kind, since, onEvent, onEose, live: false }
+    this.listeners.add(listener)
+    this.scheduleResubscribe()
+    return {
+      stop: () => {
+        if (this.listeners.delete(listener)) {
+          this.scheduleResubscribe()
+        }
+      }
+    }
+  }
+
+  scheduleResubscribe () {
+    if (this.resubscribeTimeout === undefined) {
+      this.resubscribeTimeout = setTimeout(() => {
+        this.resubscribeTimeout = undefined
+        this.resubscribe()
+      }, this.resubscribeDelay)
+    }
+  }
+
+  filters () {
+    const byKind = new Map()
+    this.listeners.forEach(listener => {
+      if (!byKind.has(listener.kind)) {
+        byKind.set(listener.kind, new Map())
+      }
+      const rooms = byKind.get(listener.kind)
+      rooms.set(listener.room, Math.min(rooms.get(listener.room) ?? Infinity, listener.since))
+    })
+    const filters = []
+    byKind.forEach((rooms, kind) => {
+      const entries = Array.from(rooms)
+      for (let i = 0; i < entries.length; i += this.maxRoomsPerFilter) {
+        const batch = entries.slice(i, i + this.maxRoomsPerFilter)
+        filters.push({
+          kinds: [kind],
+          '#e': batch.map(([room]) => room),
+          since: Math.min(...batch.map(([, since]) => since))
+        })
+      }
+    })
+    return filters
+  }
+
+  /**
+  * Replaces the shared subscription, the previous one keeps delivering until the new one reached eose
+  */
+  resubscribe () {
+    const previous = this.sub
+    const filters = this.filters()
+    if (filters.length === 0) {
+      previous?.stop()
+      this.sub = undefined
+      return
+    }
+    const subscribedAt = Math.floor(Date.now() / 1000)
+    const listeners = Array.from(this.listeners)
+    const sub = this.ndk.subscribe(filters, { closeOnEose: false, groupable: false })
+    sub.on('event', (event, relay) => this.route(event, relay))
+    sub.on('eose', () => {
+      previous?.stop()
+      listeners.filter(listener => this.listeners.has(listener)).forEach(listener => {
+        // later subscriptions only need what this one didn't deliver
+        listener.since = Math.max(listener.since, subscribedAt)
+        if (!listener.live) {
+          listener.live = true
+          listener.onEose?.()
+        }
+      })
+    })
+    this.sub = sub
+  }
+
+  route (event, relay) {
+    const rooms = new Set(event.tags.filter(tag => tag[0] === 'e').map(tag => tag[1]))
+    this.listeners.forEach(listener => {
+      if (listener.kind === event.kind && rooms.has(listener.room)) {
+        listener.onEvent(event, relay)
+      }
+    })
+  }
+
+  destroy () {
+    Array.from(this.rooms.keys()).forEach(room => this.closeRoom(room))
+    if (this.resubscribeTimeout !== undefined) {
+      clearTimeout(this.resubscribeTimeout)
+      this.resubscribeTimeout = undefined
+    }
+    this.sub?.stop()
+    this.sub = undefined
+    this.poolListeners.forEach(([name, listener]) => this.ndk.pool.off(name, listener))
+    if (isNode) {
+      process.off('exit', this.exitHandler)
+    } else if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.pagehideHandler)
+      window.removeEventListener('pageshow', this.pageshowHandler)
+    }
+    super.destroy()
+  }
+}
@@ -0,0 +1,195 @@
+import {
+  DEFAULT_MEMBERSHIP_EVENT_KIND,
+  membershipFromTags
+} from './membership.mjs'
+import {
+  publishSignedEvent,
+  signEvent
+} from './publish.mjs'
+
+// parameterized replaceable, the room owner's latest title, description, icon and relay hints
+export const DEFAULT_ROOM_METADATA_EVENT_KIND = 30903
+// NIP-32 label namespace, relays only index single letter tags so the ['crdt', label] tag can't be queried
+export const ROOM_LABEL_NAMESPACE = 'crdt'
+// NIP-22 root scope, with a lowercase e tag the child room event would be one of the parent's updates
+export const PARENT_ROOM_TAG = 'E'
+
+export function roomLabelTags (label) {
+  return [['L', ROOM_LABEL_NAMESPACE], ['l', label, ROOM_LABEL_NAMESPACE]]
+}
+
+export function parentRoomTags (parent) {
+  return parent === undefined ? [] : [[PARENT_ROOM_TAG, parent]]
+}
+
+/**
+* Returns undefined for events that don't create a room
+*/
+export function roomFromEvent (event) {
+  const label = event.tags.find(tag => tag[0] === 'crdt')?.[1]
+  if (label === undefined) {
+    return undefined
+  }
+  const membership = membershipFromTags(event.tags)
+  return {
+    id: event.id,
+    label,
+    author: event.pubkey,
+    kind: event.kind,
+    relays: (event.onRelays ?? []).map(relay => relay.url),
+    createdAt: event.created_at,
+    membership: membership === undefined ? undefined : { ...membership, owner: membership.owner ?? event.pubkey }
+  }
+}
+
+export async function getRoom (ndk, id) {
+  const event = await ndk.fetchEvent({ ids: [id] })
+  if (event === null || event === undefined) {
+    return undefined
+  }
+  return roomFromEvent(event)
+}
+
+/**
+* Applies the owner's latest membership update to each room, like NostrProvider.fetchMembership
+*/
+async function withCurrentMembership (ndk, rooms, MEMBERSHIP_EVENT_KIND) {
+  const roomsWithMembers = rooms.filter(room => room.membership !== undefined)
+  if (roomsWithMembers.length === 0) {
+    return rooms
+  }
+  const membershipEvents = await ndk.fetchEvents({
+    kinds: [MEMBERSHIP_EVENT_KIND],
+    '#d': roomsWithMembers.map(room => room.id)
+  })
+  const latest = new Map()
+  membershipEvents.forEach(event => {
+    const room = roomsWithMembers.find(room => room.id === event.tagValue('d'))
+    if (room === undefined || event.pubkey !== room.membership.owner) {
+      return
+    }
+    if ((latest.get(room.id)?.created_at ?? -1) < event.created_at) {
+      latest.set(room.id, event)
+    }
+  })
+  return rooms.map(room => {
+    const event = latest.get(room.id)
+    if (event === undefined) {
+      return room
+    }
+    const membership = membershipFromTags(event.tags)
+    return {
+      ...room,
+      membership: {
+        owner: room.membership.owner,
+        writers: membership?.writers ?? new Set(),
+        readers: membership?.readers ?? new Set()
+      }
+    }
+  })
+}
+
+function isRoomMember (room, pubkey) {
+  return room.membership !== undefined && (
+    room.membership.owner === pubkey ||
+    room.membership.writers.has(pubkey) ||
+    room.membership.readers.has(pubkey)
+  )
+}
+
+/**
+* Finds rooms created by authors, with a label, or shared with member (listed in the room event or in a later
+* membership update). Only rooms created with the label tags are found, older rooms need getRoom
+*/
+export async function listRooms (ndk, {
+  YJS_UPDATE_EVENT_KIND,
+  MEMBERSHIP_EVENT_KIND = DEFAULT_MEMBERSHIP_EVENT_KIND,
+  authors,
+  label,
+  member
+}) {
+  const filter = {
+    kinds: [YJS_UPDATE_EVENT_KIND],
+    '#L': [ROOM_LABEL_NAMESPACE],
+    ...(authors === undefined ? {} : { authors }),
+    ...(label === undefined ? {} : { '#l': [label] })
+  }
+  const events = Array.from(await ndk.fetchEvents(member === undefined ? filter : { ...filter, '#p': [member] }))
+  if (member !== undefined) {
+    // members added after the room was created are only listed in membership updates
+    const membershipEvents = await ndk.fetchEvents({
+      kinds: [MEMBERSHIP_EVENT_KIND],
+      '#p': [member]
+    })
+    const knownIds = new Set(events.map(event => event.id))
+    const addedIds = Array.from(new Set(Array.from(membershipEvents, event => event.tagValue('d'))))
+      .filter(id => id !== undefined && !knownIds.has(id))
+    if (addedIds.length > 0) {
+      events.push(...await ndk.fetchEvents({ ...filter, ids: addedIds }))
+    }
+  }
+  const rooms = events
+    .map(roomFromEvent)
+    .filter(room => room !== undefined && (label === undefined || room.label === label))
+  if (member === undefined) {
+    return rooms
+  }
+  const current = await withCurrentMembership(ndk, rooms, MEMBERSHIP_EVENT_KIND)
+  return current.filter(room => isRoomMember(room, member))
+}
+
+/**
+* Resolves with the id of the room with label created under parent by an author isAllowed accepts, undefined when there is none.
+* Rooms created at the same time by several peers all resolve to the oldest, the lowest id breaks ties
+*/
+export async function findChildRoom (ndk, { parent, label, YJS_UPDATE_EVENT_KIND, isAllowed = () => true }) {
+  const events = await ndk.fetchEvents({
+    kinds: [YJS_UPDATE_EVENT_KIND],
+    '#E': [parent],
+    '#l': [label]
+  })
+  return Array.from(events)
+    .filter(event => isAllowed(event.pubkey) && roomFromEvent(event)?.label === label)
+    .sort((a, b) => a.created_at - b.created_at || (a.id < b.id ? -1 : 1))[0]?.id
+}
+
+/**
+* Resolves with { title, description, icon, relays }, empty when the owner never set any
+*/
+export async function getRoomMetadata (ndk, room, { ROOM_METADATA_EVENT_KIND = DEFAULT_ROOM_METADATA_EVENT_KIND } = {}) {
+  const owner = room.membership?.owner ?? room.author
+  const events = await ndk.fetchEvents({
+    kinds: [ROOM_METADATA_EVENT_KIND],
+    authors: [owner],
+    '#d': [room.id]
+  })
+  const latest = Array.from(events).sort((a, b) => b.created_at - a.created_at)[0]
+  if (latest === undefined) {
+    return {}
+  }
+  try {
+    const { title, description, icon, relays } = JSON.parse(latest.content)
+    return { title, description, icon, relays }
+  } catch (e) {
+    return {}
+  }
+}
+
+/**
+* Replaces the room's metadata, readers only accept it from the room owner. Metadata is never encrypted.
+* Resolves with one { relay, ok, error } receipt per relay
+*/
+export async function setRoomMetadata (ndk, room, { title, description, icon, relays }, {
+  signer,
+  explicitRelayUrls,
+  ROOM_METADATA_EVENT_KIND = DEFAULT_ROOM_METADATA_EVENT_KIND
+} = {}) {
+  const event = await signEvent({
+    ndk,
+    signer,
+    kind: ROOM_METADATA_EVENT_KIND,
+    tags: [['d', room.id], ['e', room.id]],
+    content: JSON.stringify({ title, description, icon, relays })
+  })
+  return publishSignedEvent({ ndk, event, relayUrls: explicitRelayUrls })
+}
@@ -0,0 +1,37 @@
+// event ids remembered per provider, the oldest are forgotten first
+export const DEFAULT_SEEN_EVENTS_SIZE = 10000
+
+/**
+* Remembers the ids of recently received events, so copies arriving from other relays are skipped.
+* Sets keep insertion order, an id seen again moves to the end
+*/
+export class SeenEvents {
+  constructor (size = DEFAULT_SEEN_EVENTS_SIZE) {
+    this.size = size
+    this.ids = new Set()
+  }
+
+  /**
+  * Returns false when id was seen before, remembers it otherwise
+  */
+  add (id) {
+    const seen = this.ids.delete(id)
+    this.ids.add(id)
+    if (this.ids.size > this.size) {
+      this.ids.delete(this.ids.values().next().value)
+    }
+    return !seen
+  }
+
+  has (id) {
+    return this.ids.has(id)
+  }
+
+  delete (id) {
+    this.ids.delete(id)
+  }
+
+  clear () {
+    this.ids.clear()
+  }
+}
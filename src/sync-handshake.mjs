@@ -0,0 +1,42 @@
+import * as encoding from 'lib0/encoding'
+import * as decoding from 'lib0/decoding'
+import {
+  messageYjsSyncStep1,
+  messageYjsSyncStep2,
+  messageYjsUpdate
+} from 'y-protocols/sync'
+
+// ephemeral range like awareness, only peers that are online answer
+export const DEFAULT_SYNC_EVENT_KIND = 29002
+// milliseconds between state vector announcements while connected
+export const DEFAULT_SYNC_INTERVAL = 60 * 1000
+
+export const SYNC_STEP_1 = messageYjsSyncStep1
+export const SYNC_STEP_2 = messageYjsSyncStep2
+export const SYNC_UPDATE = messageYjsUpdate
+
+/**
+* The sender's client id followed by a y-protocols sync message, step 1 carries a snapshot
+* (state vector and delete set), step 2 and update carry a yjs update
+*/
+export function encodeSyncMessage ({ clientID, type, data }) {
+  const encoder = encoding.createEncoder()
+  encoding.writeVarUint(encoder, clientID)
+  encoding.writeVarUint(encoder, type)
+  encoding.writeVarUint8Array(encoder, data)
+  return encoding.toUint8Array(encoder)
+}
+
+/**
+* Throws on anything that isn't a sync message
+*/
+export function decodeSyncMessage (payload) {
+  const decoder = decoding.createDecoder(payload)
+  const clientID = decoding.readVarUint(decoder)
+  const type = decoding.readVarUint(decoder)
+  const data = decoding.readVarUint8Array(decoder)
+  if (![SYNC_STEP_1, SYNC_STEP_2, SYNC_UPDATE].includes(type)) {
+    throw new Error(`unknown sync message type ${type}`)
+  }
+  return { clientID, type, data }
+}
@@ -1,3 +1,9 @@
+const BASE64_PATTERN = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+
+export function isBase64 (string) {
+  return typeof string === 'string' && BASE64_PATTERN.test(string)
+}
+
 export function arrayBuffersAreEqual (a, b) {
   return dataViewsAreEqual(new DataView(a), new DataView(b))
 }
@@ -29,3 +35,25 @@ export function snapshotContainsAllDeletes (
   }
   return true
 }
+
+/**
+* Whether every range deleted in ds is deleted in sortedDs too, sortedDs having sorted and merged ranges
+*/
+export function deleteSetContains (sortedDs, ds) {
+  for (const [client, items] of ds.clients.entries()) {
+    const ranges = sortedDs.clients.get(client) || []
+    for (const { clock, len } of items) {
+      if (!ranges.some(range => range.clock <= clock && clock + len <= range.clock + range.len)) {
+        return false
+      }
+    }
+  }
+  return true
+}
+
+/**
+* Whether stateVector has at least the clock of every client in other, both decoded
+*/
+export function stateVectorContains (stateVector, other) {
+  return Array.from(other).every(([client, clock]) => (stateVector.get(client) ?? 0) >= clock)
+}
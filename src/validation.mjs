@@ -0,0 +1,47 @@
+/**
+* Names of the top-level types an update refers to, read without applying it. Content inserted next to
+* existing items names its parent only through them, but a type the document doesn't have yet always shows up
+*/
+export function rootTypeNames (yjs, update) {
+  return new Set(yjs.decodeUpdate(update).structs
+    .filter(struct => typeof struct.parent === 'string')
+    .map(struct => struct.parent))
+}
+
+/**
+* Records the structs of a rejected update in rejected, a map from client to the first clock that was rejected
+*/
+export function addRejectedStructs (yjs, update, rejected) {
+  yjs.parseUpdateMeta(update).from.forEach((clock, client) => {
+    rejected.set(client, Math.min(clock, rejected.get(client) ?? Infinity))
+  })
+}
+
+/**
+* Whether update can only be applied after rejected structs: later structs of their clients and items placed next
+* to or inside rejected items. An update that carries the rejected structs again doesn't depend on them
+*/
+export function dependsOnRejected (yjs, update, rejected) {
+  const { from } = yjs.parseUpdateMeta(update)
+  const missing = new Map(Array.from(rejected).filter(([client, clock]) => !(from.get(client) <= clock)))
+  if (missing.size === 0) {
+    return false
+  }
+  if (Array.from(from.keys()).some(client => missing.has(client))) {
+    return true
+  }
+  const isMissing = (id) => typeof id?.client === 'number' && missing.has(id.client) && id.clock >= missing.get(id.client)
+  return yjs.decodeUpdate(update).structs.some(struct => isMissing(struct.origin) || isMissing(struct.rightOrigin) || isMissing(struct.parent))
+}
+
+/**
+* Forgets rejected structs doc got after all, through an accepted update carrying them again
+*/
+export function forgetAppliedStructs (yjs, doc, rejected) {
+  const stateVector = yjs.decodeStateVector(yjs.encodeStateVector(doc))
+  rejected.forEach((clock, client) => {
+    if ((stateVector.get(client) ?? 0) > clock) {
+      rejected.delete(client)
+    }
+  })
+}
@@ -4,197 +4,2052 @@ import {
   fromBase64
 } from 'lib0/buffer'
 import {
-  NDKEvent
+  NDKPrivateKeySigner,
+  normalizeRelayUrl
 } from '@nostr-dev-kit/ndk'
 import {
   arrayBuffersAreEqual,
+  deleteSetContains,
+  stateVectorContains,
+  isBase64,
   snapshotContainsAllDeletes
 } from './util.mjs'
-import { finalizeEvent, verifyEvent } from 'nostr-tools/pure'
-import { SimplePool } from 'nostr-tools/pool'
+import { verifyEvent } from 'nostr-tools/pure'
+import {
+  Awareness,
+  encodeAwarenessUpdate,
+  applyAwarenessUpdate,
+  removeAwarenessStates
+} from 'y-protocols/awareness'
+import { isNode } from 'lib0/environment'
+import {
+  CONTENT_ENCODING_TAG,
+  codecRegistry,
+  contentEncodingFromTags
+} from './compression.mjs'
+import {
+  ChunkAssembler,
+  MAX_CHUNKS,
+  chunkFromTags,
+  chunkTags
+} from './chunks.mjs'
+import {
+  DEFAULT_MEMBERSHIP_EVENT_KIND,
+  membershipTags,
+  membershipFromTags
+} from './membership.mjs'
+import {
+  DEFAULT_PUBLISH_TIMEOUT,
+  mergeReceipts,
+  publishSignedEvent,
+  signEvent
+} from './publish.mjs'
+import {
+  DEFAULT_MAX_RETRY_DELAY,
+  DEFAULT_RETRY_DELAY,
+  MemoryOutboxStore,
+  Outbox
+} from './outbox.mjs'
+import { RoomCreationError } from './errors.mjs'
+import {
+  PARENT_ROOM_TAG,
+  findChildRoom,
+  parentRoomTags,
+  roomFromEvent,
+  roomLabelTags
+} from './rooms.mjs'
+import {
+  decodeRoomInvite,
+  providerParamsFromInvite
+} from './invites.mjs'
+import {
+  epochFromTags,
+  epochTags
+} from './epochs.mjs'
+import {
+  DEFAULT_BACKFILL_PAGE_SIZE,
+  fetchHistory
+} from './backfill.mjs'
+import {
+  RELAY_CONNECTED,
+  RELAY_DISCONNECTED,
+  RelayHealth
+} from './relay-health.mjs'
+import {
+  DEFAULT_SEEN_EVENTS_SIZE,
+  SeenEvents
+} from './seen-events.mjs'
+import {
+  DEFAULT_SYNC_EVENT_KIND,
+  DEFAULT_SYNC_INTERVAL,
+  SYNC_STEP_1,
+  SYNC_STEP_2,
+  decodeSyncMessage,
+  encodeSyncMessage
+} from './sync-handshake.mjs'
+import {
+  byCreatedAt,
+  entriesUntil,
+  revertUpdate
+} from './history.mjs'
+import {
+  addRejectedStructs,
+  dependsOnRejected,
+  forgetAppliedStructs
+} from './validation.mjs'
+import {
+  cipherRegistry,
+  decodeEnvelope,
+  encodeEnvelope,
+  sealedParts
+} from './envelope.mjs'
+
+export { deflateCodec, gzipCodec } from './compression.mjs'
+export {
+  NIP44_ROOM_KEY_CIPHER,
+  NIP44_SIGNER_CIPHER,
+  generateRoomKey,
+  nip44RoomKeyCipher,
+  nip44SignerCipher
+} from './nip44.mjs'
+export { MemoryOutboxStore } from './outbox.mjs'
+export { RoomCreationError } from './errors.mjs'
+export { DEFAULT_MEMBERSHIP_EVENT_KIND } from './membership.mjs'
+export { decodeRoomInvite, encodeRoomInvite } from './invites.mjs'
+export { ENVELOPE_VERSION, decodeEnvelope, encodeEnvelope } from './envelope.mjs'
+export { DEFAULT_BACKFILL_PAGE_SIZE } from './backfill.mjs'
+export { RELAY_CONNECTED, RELAY_CONNECTING, RELAY_DISCONNECTED } from './relay-health.mjs'
+export { DEFAULT_SEEN_EVENTS_SIZE } from './seen-events.mjs'
+export { DEFAULT_SYNC_EVENT_KIND, DEFAULT_SYNC_INTERVAL } from './sync-handshake.mjs'
+export { DEFAULT_MAX_ROOMS_PER_FILTER, RoomManager } from './room-manager.mjs'
+export { rootTypeNames } from './validation.mjs'
+export {
+  DEFAULT_ROOM_METADATA_EVENT_KIND,
+  getRoom,
+  getRoomMetadata,
+  listRooms,
+  setRoomMetadata
+} from './rooms.mjs'
+
+// ephemeral range (NIP-16), relays forward these without storing them
+export const DEFAULT_AWARENESS_EVENT_KIND = 29001
+// parameterized replaceable range (NIP-33), one checkpoint per author and room
+export const DEFAULT_CHECKPOINT_EVENT_KIND = 30901
+// replay updates this many seconds before a checkpoint to cover clock skew and late arrivals
+const CHECKPOINT_OVERLAP_SECONDS = 60
+// ['checkpoint-chunk', event id] points a chunked checkpoint at its chunks, in order
+const CHECKPOINT_CHUNK_TAG = 'checkpoint-chunk'
+// ['covers', created_at] of the newest update event a checkpoint merged, joiners replay the updates after it
+const CHECKPOINT_COVERS_TAG = 'covers'
+// checkpoints and update times dated further ahead of our clock are not trusted
+const MAX_CLOCK_SKEW_SECONDS = 60
+// refetch this many seconds before the newest event a reconnecting relay delivered
+const RELAY_GAP_OVERLAP_SECONDS = 60
+// the chunks of one update are signed within this many seconds of each other
+const CHUNK_GROUP_SECONDS = 60
+
+// reasons reported with 'event-rejected'
+export const REJECT_INVALID_SIGNATURE = 'invalid-signature'
+export const REJECT_NOT_A_MEMBER = 'not-a-member'
+export const REJECT_MALFORMED_CONTENT = 'malformed-content'
+export const REJECT_UNDECRYPTABLE = 'undecryptable'
+export const REJECT_INVALID_UPDATE = 'invalid-update'
+export const REJECT_INCOMPLETE_CHUNKS = 'incomplete-chunks'
+export const REJECT_UNSUPPORTED_ENCODING = 'unsupported-encoding'
+export const REJECT_UNKNOWN_EPOCH = 'unknown-epoch'
+export const REJECT_UNSUPPORTED_CIPHER = 'unsupported-cipher'
+export const REJECT_VALIDATION_FAILED = 'validation-failed'
+export const REJECT_REJECTED_DEPENDENCY = 'rejected-dependency'
+
+// base64 characters per event, well below the 64KB event limit of many relays
+export const DEFAULT_CHUNK_SIZE = 32 * 1024
+export const DEFAULT_CHUNK_TIMEOUT = 30 * 1000
+// bytes a compressed payload may inflate to, as much as the most chunks one update may have
+export const DEFAULT_MAX_PAYLOAD_SIZE = MAX_CHUNKS * DEFAULT_CHUNK_SIZE
+// local updates are batched until typing pauses for batchDelay ms, but never longer than batchMaxWait ms
+export const DEFAULT_BATCH_DELAY = 100
+export const DEFAULT_BATCH_MAX_WAIT = 1000
+// bytes of buffered updates that are published right away
+export const DEFAULT_BATCH_MAX_BYTES = 16 * 1024
+// milliseconds updates from other providers wait, so the peer that made them can publish them first
+export const DEFAULT_BRIDGE_DELAY = 2000
+
+/**
+* Updates from other providers (y-webrtc rooms have a provider property) are left to them by default
+*/
+export function defaultPublishOrigin (origin) {
+  return !origin?.provider
+}
+
+/**
+* Compresses a payload when a codec is given, then encrypts it, returns the event content and the tags describing it.
+* encrypt may return a promise. Ciphers with an id get an encryption envelope, plain encrypt hooks the legacy
+* base64 content with an epoch tag
+*/
+async function encodeContent ({ payload, compression, encrypt, cipherId, epoch = 0 }) {
+  const encodingTags = compression === undefined ? [] : [[CONTENT_ENCODING_TAG, compression.name]]
+  const sealed = await encrypt(compression === undefined ? payload : compression.compress(payload), { epoch })
+  if (cipherId === undefined) {
+    return { content: toBase64(sealed), tags: [...encodingTags, ...epochTags(epoch)] }
+  }
+  return {
+    content: encodeEnvelope({ cipher: cipherId, epoch, ...sealedParts(sealed) }),
+    tags: encodingTags
+  }
+}
+
+/**
+* Plain decrypt hooks become ciphers without an id
+*/
+function asCipher (decryptOrCipher, encrypt) {
+  return typeof decryptOrCipher === 'function' ? { encrypt, decrypt: decryptOrCipher } : decryptOrCipher
+}
+
+/**
+* Publishes the room event and resolves with the room once requiredAcks relays stored it:
+* { id, label, author, kind, relays, createdAt, membership }, relays being the ones that acknowledged it.
+* Rejects with a RoomCreationError otherwise. A parent room id links the new room to it, subdocs use this
+*/
+export async function createNostrCRDTRoom (
+  params
+) {
+  // plagiarized from:
+  // https://github.com/YousefED/nostr-crdt/blob/main/packages/nostr-crdt/src/createNostrCRDTRoom.ts
+  const {
+    ndk,
+    label,
+    initialLocalState,
+    YJS_UPDATE_EVENT_KIND,
+    secretNostrKey,
+    explicitRelayUrls,
+    members,
+    readers,
+    parent,
+    compression,
+    timeout,
+    requiredAcks,
+    cipher,
+    encrypt
+  } = {
+    timeout: DEFAULT_PUBLISH_TIMEOUT,
+    requiredAcks: 1,
+    encrypt: (passthrough) => passthrough,
+    ...params
+  }
+  const signer = params.signer ?? (secretNostrKey === undefined ? undefined : new NDKPrivateKeySigner(secretNostrKey))
+  const { content, tags: contentTags } = await encodeContent({
+    payload: initialLocalState,
+    compression,
+    encrypt: cipher?.encrypt ?? encrypt,
+    cipherId: cipher?.id
+  })
+  // without a member list the room stays open to anyone who knows its id
+  const tags = [['crdt', label], ...roomLabelTags(label), ...parentRoomTags(parent), ...contentTags]
+  if (members !== undefined) {
+    const owner = params.owner ?? (await (signer ?? ndk.signer).user()).pubkey
+    tags.push(...membershipTags({ owner, writers: members, readers }))
+  }
+
+  let event
+  try {
+    event = await signEvent({ ndk, signer, kind: YJS_UPDATE_EVENT_KIND, tags, content })
+  } catch (error) {
+    throw new RoomCreationError('could not sign the room event', { cause: error })
+  }
+  let receipts
+  try {
+    receipts = await publishSignedEvent({ ndk, event, relayUrls: explicitRelayUrls, timeout })
+  } catch (error) {
+    throw new RoomCreationError('could not publish the room event', { cause: error })
+  }
+  const relays = receipts.filter(receipt => receipt.ok).map(receipt => receipt.relay)
+  if (relays.length < requiredAcks) {
+    throw new RoomCreationError(
+      `room event stored by ${relays.length} relays, ${requiredAcks} required`,
+      { receipts }
+    )
+  }
+  return { ...roomFromEvent(event), relays }
+}
+
+export class NostrProvider extends ObservableV2 {
+  constructor (
+    params
+  ) {
+    // an invite, encoded or decoded, fills in the room id, kind, relays and room key cipher
+    const invite = typeof params.invite === 'string' ? decodeRoomInvite(params.invite) : params.invite
+    const {
+      yjs,
+      ydoc,
+      nostrRoomCreateEventId,
+      ndk,
+      YJS_UPDATE_EVENT_KIND,
+      AWARENESS_EVENT_KIND,
+      CHECKPOINT_EVENT_KIND,
+      MEMBERSHIP_EVENT_KIND,
+      SYNC_EVENT_KIND,
+      checkpointInterval,
+      syncHandshake,
+      syncInterval,
+      subdocs,
+      validateUpdate,
+      quarantine,
+      chunkSize,
+      chunkTimeout,
+      batchDelay,
+      batchMaxWait,
+      batchMaxBytes,
+      publishOrigin,
+      allowOrigins,
+      denyOrigins,
+      bridgeDelay,
+      compression,
+      codecs,
+      maxPayloadSize,
+      awareness,
+      secretNostrKey,
+      signer,
+      explicitRelayUrls,
+      publishTimeout,
+      outboxStore,
+      requiredAcks,
+      retryDelay,
+      maxRetryDelay,
+      backfillPageSize,
+      seenEventsSize,
+      readOnly,
+      epoch,
+      keyring,
+      cipher,
+      ciphers,
+      encrypt,
+      decrypt,
+      roomManager
+    } = {
+      AWARENESS_EVENT_KIND: DEFAULT_AWARENESS_EVENT_KIND,
+      CHECKPOINT_EVENT_KIND: DEFAULT_CHECKPOINT_EVENT_KIND,
+      MEMBERSHIP_EVENT_KIND: DEFAULT_MEMBERSHIP_EVENT_KIND,
+      SYNC_EVENT_KIND: DEFAULT_SYNC_EVENT_KIND,
+      syncHandshake: false,
+      syncInterval: DEFAULT_SYNC_INTERVAL,
+      subdocs: false,
+      quarantine: false,
+      chunkSize: DEFAULT_CHUNK_SIZE,
+      chunkTimeout: DEFAULT_CHUNK_TIMEOUT,
+      batchDelay: DEFAULT_BATCH_DELAY,
+      batchMaxWait: DEFAULT_BATCH_MAX_WAIT,
+      batchMaxBytes: DEFAULT_BATCH_MAX_BYTES,
+      publishOrigin: defaultPublishOrigin,
+      allowOrigins: [],
+      denyOrigins: [],
+      bridgeDelay: DEFAULT_BRIDGE_DELAY,
+      publishTimeout: DEFAULT_PUBLISH_TIMEOUT,
+      requiredAcks: 1,
+      retryDelay: DEFAULT_RETRY_DELAY,
+      maxRetryDelay: DEFAULT_MAX_RETRY_DELAY,
+      maxPayloadSize: DEFAULT_MAX_PAYLOAD_SIZE,
+      backfillPageSize: DEFAULT_BACKFILL_PAGE_SIZE,
+      seenEventsSize: DEFAULT_SEEN_EVENTS_SIZE,
+      readOnly: false,
+      epoch: 0,
+      encrypt: (passthrough) => passthrough,
+      decrypt: (passthrough) => passthrough,
+      ...(invite === undefined ? {} : providerParamsFromInvite(invite)),
+      ...params
+    }
+
+    super()
+    this.yjs = yjs
+    this.ydoc = ydoc
+    this.ndk = ndk
+    // shares one subscription between the rooms it opened, undefined for a provider of its own
+    this.roomManager = roomManager
+    this.nostrRoomCreateEventId = nostrRoomCreateEventId
+    this.ydoc.on('update', this.documentUpdateHandler)
+    this.YJS_UPDATE_EVENT_KIND = YJS_UPDATE_EVENT_KIND
+    this.secretNostrKey = secretNostrKey
+    // undefined signs with ndk.signer
+    this.signer = signer ?? (secretNostrKey === undefined ? undefined : new NDKPrivateKeySigner(secretNostrKey))
+    this.explicitRelayUrls = explicitRelayUrls
+    this.publishTimeout = publishTimeout
+    this.backfillPageSize = backfillPageSize
+    // subscriptions only reach relays in the ndk pool
+    invite?.relays
+      .filter(url => !ndk.pool.relays.has(normalizeRelayUrl(url)))
+      .forEach(url => ndk.addExplicitRelay(url))
+    this.readOnly = readOnly
+    // the cipher of the current epoch, a cipher with an id writes encryption envelopes
+    const current = cipher ?? { encrypt, decrypt }
+    this.epoch = epoch
+    this.cipherId = current.id
+    this.encrypt = current.encrypt
+    this.decrypt = current.decrypt
+    // every epoch we can read, to its cipher or decrypt hook
+    this.keyring = new Map(Array.from(keyring ?? [], ([keyEpoch, key]) => [keyEpoch, asCipher(key)]))
+    if (!this.keyring.has(epoch)) {
+      this.keyring.set(epoch, current)
+    }
+    // ciphers that don't depend on the epoch, like private-box or nip44SignerCipher, picked by the envelope's cipher id
+    this.ciphers = cipherRegistry(ciphers)
+    this.AWARENESS_EVENT_KIND = AWARENESS_EVENT_KIND
+    // an awareness we created is destroyed with the provider, its timer would keep running
+    this.ownsAwareness = awareness === undefined
+    this.awareness = awareness ?? new Awareness(ydoc)
+    this.awareness.on('update', this.awarenessUpdateListener)
+    // publish buffered edits and tell peers we left, otherwise they only notice after the awareness timeout.
+    // A room manager listens once for all of its rooms and calls our handlers
+    if (roomManager === undefined && isNode) {
+      process.on('exit', this.exitHandler)
+    } else if (roomManager === undefined && typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this.pagehideHandler)
+      window.addEventListener('pageshow', this.pageshowHandler)
+    }
+    this.CHECKPOINT_EVENT_KIND = CHECKPOINT_EVENT_KIND
+    this.checkpointInterval = checkpointInterval
+    this.MEMBERSHIP_EVENT_KIND = MEMBERSHIP_EVENT_KIND
+    // online peers exchange state vectors and diffs, for relays that lose history
+    this.SYNC_EVENT_KIND = SYNC_EVENT_KIND
+    this.syncHandshake = syncHandshake
+    this.syncInterval = syncInterval
+    // loaded subdocs sync through child rooms of this room, opened with the same settings
+    this.subdocs = subdocs
+    this.subdocParams = { ...(invite === undefined ? {} : providerParamsFromInvite(invite)), ...params, invite: undefined, awareness: undefined }
+    this.subdocProviders = new Map()
+    // subdoc guid to its child room, kept after the subdoc is closed
+    this.subdocRooms = new Map()
+    this.ydoc.on('subdocs', this.subdocsHandler)
+    // remote updates the app's hook rejects never reach the document, with quarantine they are kept by event id
+    this.validateUpdate = validateUpdate
+    this.quarantine = quarantine
+    this.quarantined = new Map()
+    // client to the first clock of its rejected structs, later updates building on them are rejected too
+    this.rejectedStructs = new Map()
+    // quarantined updates accepted after all, history keeps them without asking the hook again
+    this.acceptedEvents = new Set()
+    this.chunkSize = chunkSize
+    this.batchDelay = batchDelay
+    this.batchMaxWait = batchMaxWait
+    this.batchMaxBytes = batchMaxBytes
+    // which document updates we publish, besides our own remote updates which never are
+    this.publishOrigin = publishOrigin
+    this.allowOrigins = new Set(allowOrigins)
+    this.denyOrigins = new Set(denyOrigins)
+    this.bridgeDelay = bridgeDelay
+    this.compression = compression
+    this.codecs = codecRegistry([...(codecs ?? []), compression])
+    this.maxPayloadSize = maxPayloadSize
+    // every relay delivers its own copy of an event, only the first one is decoded
+    this.seenEvents = new SeenEvents(seenEventsSize)
+    this.chunks = new ChunkAssembler({
+      timeout: chunkTimeout,
+      onTimeout: (event) => this.rejectEvent(event, REJECT_INCOMPLETE_CHUNKS)
+    })
+    // large sync messages are chunked like updates
+    this.syncChunks = new ChunkAssembler({
+      timeout: chunkTimeout,
+      onTimeout: (event) => this.rejectEvent(event, REJECT_INCOMPLETE_CHUNKS)
+    })
+    // local updates stay here until requiredAcks relays stored them
+    this.outbox = new Outbox({
+      store: outboxStore ?? new MemoryOutboxStore(),
+      room: nostrRoomCreateEventId,
+      publish: (update) => this.publishUpdate(update),
+      requiredAcks,
+      retryDelay,
+      maxRetryDelay,
+      onDrained: () => this.emit('outbox-drained', []),
+      onError: (error) => this.emit('outbox-error', [{ error }])
+    })
+    this.relayHealth = new RelayHealth({ pool: ndk.pool, onChange: this.relayStatusChanged, listen: roomManager === undefined })
+    // a failed connect() is retried with the same backoff
+    this.retryDelay = retryDelay
+    this.maxRetryDelay = maxRetryDelay
+    this.armWhenSynced()
+  }
+
+  /**
+  * A fresh whenSynced for the next connect: it resolves with the provider once synced, and rejects
+  * when the connect fails or disconnect() comes first
+  */
+  armWhenSynced () {
+    this.whenSyncedSettled = false
+    this.whenSynced = new Promise((resolve, reject) => {
+      this.settleWhenSynced = (error) => {
+        this.whenSyncedSettled = true
+        error === undefined ? resolve(this) : reject(error)
+      }
+    })
+    // apps that never await it don't get an unhandled rejection
+    this.whenSynced.catch(() => {})
+  }
+
+  shouldConnect = false
+  connected = false
+  _synced = false
+  updateSub
+  awarenessSub
+  membershipSubs = []
+  updateSince = 0
+  // relay url to the document when the relay dropped, what it held as far as we know
+  relayStates = new Map()
+
+  // undefined until connect() has read the room event, and for rooms without a member list
+  membership
+  membershipCreatedAt = 0
+  // the room this one was created under, its member list applies here too
+  parentRoom
+  pubkey
+
+  /**
+  * Number of local updates not yet acknowledged by enough relays
+  */
+  get pendingCount () {
+    return this.outbox.size
+  }
+
+  get synced () {
+    return this._synced
+  }
+
+  /**
+  * { [url]: { url, status, lastSeen, disconnects, since } }, changes are emitted with 'relay-status'
+  */
+  get relayStatus () {
+    return this.relayHealth.toJSON()
+  }
+
+  set synced (state) {
+    if (this._synced !== state) {
+      this._synced = state
+      if (state && !this.whenSyncedSettled) {
+        this.settleWhenSynced()
+      }
+      this.emit('synced', [state])
+    }
+  }
+
+  isWriter (pubkey) {
+    return this.membership === undefined ||
+      pubkey === this.membership.owner ||
+      this.membership.writers.has(pubkey)
+  }
+
+  /**
+  * Whether pubkey may have published updates, removed writers keep the ones they made before
+  */
+  wasWriter (pubkey) {
+    return this.isWriter(pubkey) || this.membership.formerWriters.has(pubkey)
+  }
+
+  /**
+  * Whether pubkey may have written update: the update of a removed writer must be part of
+  * the snapshot the owner took of this room's document when removing them
+  */
+  mayHaveWritten (pubkey, update) {
+    if (this.isWriter(pubkey)) {
+      return true
+    }
+    const snapshot = this.membership.formerWriters.get(pubkey)?.get(this.nostrRoomCreateEventId)
+    if (snapshot === undefined) {
+      return false
+    }
+    try {
+      const { sv, ds } = this.yjs.decodeSnapshot(snapshot)
+      return stateVectorContains(sv, this.yjs.parseUpdateMeta(update).to) &&
+        deleteSetContains(ds, this.yjs.decodeUpdate(update).ds)
+    } catch (e) {
+      return false
+    }
+  }
+
+  isMember (pubkey) {
+    return this.isWriter(pubkey) || this.membership.readers.has(pubkey)
+  }
+
+  /**
+  * Read-only members keep their edits local, relays and peers would drop them anyway
+  */
+  mayPublishUpdates () {
+    return !this.readOnly && (this.pubkey === undefined || this.isWriter(this.pubkey))
+  }
+
+  authorsFilter () {
+    if (this.membership === undefined) {
+      return {}
+    }
+    return { authors: [this.membership.owner, ...this.membership.writers, ...this.membership.formerWriters.keys()] }
+  }
+
+  /**
+  * Reads the member list from the room event, then the owner's latest membership update.
+  * Throws when the room event can't be found, we can't tell who may write without it
+  */
+  async fetchMembership () {
+    this.pubkey = (await (this.signer ?? this.ndk.signer)?.user())?.pubkey
+    const roomEvent = await this.ndk.fetchEvent({ ids: [this.nostrRoomCreateEventId] })
+    if (roomEvent === null || roomEvent === undefined) {
+      throw new Error(`room ${this.nostrRoomCreateEventId} not found on the relays`)
+    }
+    const membership = membershipFromTags(roomEvent.tags)
+    if (membership === undefined) {
+      return
+    }
+    this.membership = { ...membership, owner: membership.owner ?? roomEvent.pubkey }
+    this.parentRoom = roomEvent.tags.find(tag => tag[0] === PARENT_ROOM_TAG)?.[1]
+    const membershipEvents = await this.ndk.fetchEvents({
+      kinds: [this.MEMBERSHIP_EVENT_KIND],
+      authors: [this.membership.owner],
+      '#d': this.membershipRooms()
+    })
+    Array.from(membershipEvents).forEach(this.processIncomingMembershipEvent)
+  }
+
+  /**
+  * This room and its parent, the owner's newest member list of either one applies
+  */
+  membershipRooms () {
+    return this.parentRoom === undefined ? [this.nostrRoomCreateEventId] : [this.nostrRoomCreateEventId, this.parentRoom]
+  }
+
+  /**
+  * Follows membership updates published by the room owner
+  */
+  processIncomingMembershipEvent = (event) => {
+    if (
+      this.membership === undefined ||
+      event.pubkey !== this.membership.owner ||
+      event.created_at <= this.membershipCreatedAt
+    ) {
+      return
+    }
+    this.applyMembership(membershipFromTags(event.tags) ?? { writers: new Set(), readers: new Set(), formerWriters: new Map() }, event.created_at)
+  }
+
+  applyMembership ({ writers, readers, formerWriters }, createdAt) {
+    const authors = this.authorsFilter().authors
+    this.membership = { owner: this.membership.owner, writers, readers, formerWriters }
+    const authorsChanged = authors.length !== this.authorsFilter().authors.length ||
+      this.authorsFilter().authors.some(pubkey => !authors.includes(pubkey))
+    this.membershipCreatedAt = createdAt
+    this.emit('membership', [{ owner: this.membership.owner, writers: Array.from(writers), readers: Array.from(readers) }])
+    if (authorsChanged && this.updateSub !== undefined && this.synced) {
+      this.resubscribeUpdates()
+    }
+  }
+
+  /**
+  * Listens to events of kind tagged with this room, through the room manager's shared subscription
+  * when there is one. That one can't filter by author, events are checked when they arrive anyway
+  */
+  subscribeRoom ({ room = this.nostrRoomCreateEventId, kind, since, authors, onEvent, onEose }) {
+    if (this.roomManager !== undefined) {
+      return this.roomManager.subscribe({ room, kind, since, onEvent, onEose })
+    }
+    const sub = this.ndk.subscribe(
+      {
+        kinds: [kind],
+        since,
+        '#e': [room],
+        ...(authors === undefined ? {} : { authors })
+      },
+      { closeOnEose: false }
+    )
+    sub.on('event', onEvent)
+    if (onEose !== undefined) {
+      sub.on('eose', onEose)
+    }
+    return sub
+  }
+
+  /**
+  * Restarts the live update subscription, used when the authors filter changes
+  */
+  resubscribeUpdates () {
+    const previousSub = this.updateSub
+    this.updateSub = this.subscribeRoom({
+      kind: this.YJS_UPDATE_EVENT_KIND,
+      since: this.updateSince,
+      authors: this.authorsFilter().authors,
+      onEvent: (e, relay) => {
+        this.noteSeen(e, relay)
+        this.processIncomingEvents([e])
+      }
+    })
+    previousSub?.stop()
+  }
+
+  /**
+  * Replaces the room's writers and read-only members, only the owner may do this
+  */
+  publishMembership ({ writers = [], readers = [] }) {
+    if (this.membership === undefined || this.pubkey !== this.membership.owner) {
+      throw new Error('only the owner of a room with a member list can change its membership')
+    }
+    // replaceable events need a newer timestamp, even for two changes within a second
+    const createdAt = Math.max(Math.floor(Date.now() / 1000), this.membershipCreatedAt + 1)
+    // relays keep only the latest member list, so it remembers what removed writers had written here and in subdocs
+    const formerWriters = new Map(this.membership.formerWriters)
+    const snapshots = this.documentSnapshots()
+    this.membership.writers.forEach(pubkey => formerWriters.set(pubkey, new Map([...(formerWriters.get(pubkey) ?? []), ...snapshots])))
+    writers.forEach(pubkey => formerWriters.delete(pubkey))
+    const published = this.publishEvent({
+      kind: this.MEMBERSHIP_EVENT_KIND,
+      tags: [
+        ['d', this.nostrRoomCreateEventId],
+        ['e', this.nostrRoomCreateEventId],
+        ...membershipTags({ writers, readers, formerWriters })
+      ],
+      content: '',
+      createdAt
+    })
+    this.applyMembership({ writers: new Set(writers), readers: new Set(readers), formerWriters }, createdAt)
+    return published
+  }
+
+  /**
+  * Room id to the encoded yjs snapshot of its document, for this room and the subdoc rooms we opened
+  */
+  documentSnapshots () {
+    const snapshot = (ydoc) => this.yjs.encodeSnapshot(this.yjs.snapshot(ydoc))
+    const subdocs = new Map(Array.from(this.ydoc.getSubdocs(), subdoc => [subdoc.guid, subdoc]))
+    return new Map([
+      [this.nostrRoomCreateEventId, snapshot(this.ydoc)],
+      ...Array.from(this.subdocRooms)
+        .filter(([guid]) => subdocs.has(guid))
+        .map(([guid, room]) => [room, snapshot(subdocs.get(guid))])
+    ])
+  }
+
+  addMembers (pubkeys, { readOnly = false } = {}) {
+    const writers = new Set(this.membership?.writers)
+    const readers = new Set(this.membership?.readers)
+    pubkeys.forEach(pubkey => {
+      if (readOnly) {
+        writers.delete(pubkey)
+        readers.add(pubkey)
+      } else {
+        readers.delete(pubkey)
+        writers.add(pubkey)
+      }
+    })
+    return this.publishMembership({ writers: Array.from(writers), readers: Array.from(readers) })
+  }
+
+  removeMembers (pubkeys) {
+    return this.publishMembership({
+      writers: Array.from(this.membership?.writers ?? []).filter(pubkey => !pubkeys.includes(pubkey)),
+      readers: Array.from(this.membership?.readers ?? []).filter(pubkey => !pubkeys.includes(pubkey))
+    })
+  }
+
+  rejectEvent (event, reason, error) {
+    // a later key or membership change may make it readable
+    this.seenEvents.delete(event.id)
+    if (reason === REJECT_UNKNOWN_EPOCH && event.kind === this.YJS_UPDATE_EVENT_KIND) {
+      this.unknownEpochSince = Math.min(event.created_at, this.unknownEpochSince ?? Infinity)
+    }
+    this.emit('event-rejected', [{ event, reason, error }])
+  }
+
+  eventIsAuthentic (event, isAllowed) {
+    if (!verifyEvent(event.rawEvent?.() ?? event)) {
+      this.rejectEvent(event, REJECT_INVALID_SIGNATURE)
+      return false
+    }
+    if (!isAllowed(event.pubkey)) {
+      this.rejectEvent(event, REJECT_NOT_A_MEMBER)
+      return false
+    }
+    return true
+  }
+
+  /**
+  * Verifies, decodes and decrypts the content of one event, returns undefined and
+  * emits 'event-rejected' when any of these steps fails
+  */
+  async payloadFromEvent (event, isAllowed = (pubkey) => this.wasWriter(pubkey)) {
+    if (!this.eventIsAuthentic(event, isAllowed)) {
+      return
+    }
+    return await this.payloadFromContent(event, event.content)
+  }
+
+  /**
+  * Buffers one chunk, returns the payload of its group once all chunks arrived
+  */
+  async payloadFromChunk (event, chunk, chunks = this.chunks, isAllowed = (pubkey) => this.wasWriter(pubkey)) {
+    if (chunk === null) {
+      this.rejectEvent(event, REJECT_MALFORMED_CONTENT)
+      return
+    }
+    if (!this.eventIsAuthentic(event, isAllowed)) {
+      return
+    }
+    const content = chunks.add(event, chunk)
+    if (content === undefined) {
+      return
+    }
+    return await this.payloadFromContent(event, content)
+  }
+
+  /**
+  * Picks the decrypt for one event content: an envelope names its cipher and epoch, legacy content is
+  * base64 for the key of its epoch tag. Returns { decrypt, ciphertext, context }, or the reason to reject the event
+  */
+  decrypterForContent (event, content) {
+    if (typeof content !== 'string') {
+      return { reason: REJECT_MALFORMED_CONTENT }
+    }
+    let envelope
+    try {
+      envelope = decodeEnvelope(content)
+    } catch (error) {
+      return { reason: REJECT_MALFORMED_CONTENT, error }
+    }
+    if (envelope === undefined) {
+      const epoch = epochFromTags(event.tags)
+      if (!isBase64(content) || epoch === null) {
+        return { reason: REJECT_MALFORMED_CONTENT }
+      }
+      const key = this.keyring.get(epoch)
+      if (key === undefined) {
+        return { reason: REJECT_UNKNOWN_EPOCH }
+      }
+      return { decrypt: key.decrypt, ciphertext: fromBase64(content), context: { event, epoch } }
+    }
+    const { cipher, epoch, nonce, payload } = envelope
+    const key = this.keyring.get(epoch)
+    const decrypt = key?.id === cipher ? key.decrypt : this.ciphers.get(cipher)?.decrypt
+    if (decrypt === undefined) {
+      const knownCipher = Array.from(this.keyring.values()).some(key => key.id === cipher)
+      return { reason: knownCipher ? REJECT_UNKNOWN_EPOCH : REJECT_UNSUPPORTED_CIPHER }
+    }
+    return { decrypt, ciphertext: payload, context: { event, epoch, nonce } }
+  }
+
+  /**
+  * decrypt may return a promise, it gets the event for hooks that need to know the sender
+  */
+  async payloadFromContent (event, content) {
+    const { decrypt, ciphertext, context, reason, error } = this.decrypterForContent(event, content)
+    if (reason !== undefined) {
+      this.rejectEvent(event, reason, error)
+      return
+    }
+    let payload
+    try {
+      payload = await decrypt(ciphertext, context)
+    } catch (error) {
+      this.rejectEvent(event, REJECT_UNDECRYPTABLE, error)
+      return
+    }
+    if (!(payload instanceof Uint8Array)) {
+      // e.g. private-box returns undefined for messages addressed to other recipients
+      this.rejectEvent(event, REJECT_UNDECRYPTABLE)
+      return
+    }
+    const encoding = contentEncodingFromTags(event.tags)
+    if (encoding === undefined) {
+      return payload
+    }
+    const codec = this.codecs.get(encoding)
+    if (codec === undefined) {
+      this.rejectEvent(event, REJECT_UNSUPPORTED_ENCODING)
+      return
+    }
+    try {
+      const decompressed = codec.decompress(payload, this.maxPayloadSize)
+      // app codecs may ignore the limit
+      if (decompressed.length > this.maxPayloadSize) {
+        throw new Error(`decompressed payload is larger than ${this.maxPayloadSize} bytes`)
+      }
+      return decompressed
+    } catch (error) {
+      this.rejectEvent(event, REJECT_MALFORMED_CONTENT, error)
+    }
+  }
+
+  encodeContent (payload) {
+    return encodeContent({
+      payload,
+      compression: this.compression,
+      encrypt: this.encrypt,
+      cipherId: this.cipherId,
+      epoch: this.epoch
+    })
+  }
+
+  /**
+  * Starts a new key epoch, everything published from now on is encrypted with encrypt, or a cipher
+  * passed instead. Members who don't get the new key (see addEpochKey) can't read it, older epochs stay
+  * readable with the keyring. Publishes a checkpoint under the new key, so new joiners don't need the keys
+  * of older epochs. Returns the new epoch
+  */
+  rotateKey (encryptOrCipher, decrypt) {
+    const epoch = Math.max(...this.keyring.keys()) + 1
+    if (typeof encryptOrCipher === 'function') {
+      this.addEpochKey(epoch, decrypt, encryptOrCipher)
+    } else {
+      this.addEpochKey(epoch, encryptOrCipher)
+    }
+    if (this.synced) {
+      this.checkpoint().catch(this.reportError)
+    }
+    this.forEachSubdoc(provider => provider.synced && provider.checkpoint().catch(provider.reportError))
+    return epoch
+  }
+
+  /**
+  * Adds the key of an epoch someone else started, as a decrypt hook or a cipher. With encrypt, a newer
+  * epoch becomes the one we publish in. Fetches the updates that arrived before the key again, so they become readable
+  */
+  addEpochKey (epoch, decryptOrCipher, encrypt) {
+    const key = asCipher(decryptOrCipher, encrypt)
+    this.keyring.set(epoch, key)
+    if (key.encrypt !== undefined && epoch >= this.epoch) {
+      this.epoch = epoch
+      this.cipherId = key.id
+      this.encrypt = key.encrypt
+      this.decrypt = key.decrypt
+    }
+    if (this.updateSub !== undefined) {
+      this.refetchUnknownEpochUpdates().catch(this.reportError)
+    }
+    // subdoc rooms share our keys
+    this.forEachSubdoc(provider => provider.addEpochKey(epoch, key))
+  }
+
+  // created_at of the oldest update rejected for an unknown epoch since the last refetch
+  unknownEpochSince
+
+  /**
+  * Replays the updates rejected for an unknown epoch: rejected events were dropped from seenEvents,
+  * the chunks of their groups are fetched along with them
+  */
+  async refetchUnknownEpochUpdates () {
+    if (this.unknownEpochSince === undefined) {
+      return
+    }
+    const since = this.unknownEpochSince - CHUNK_GROUP_SECONDS
+    this.unknownEpochSince = undefined
+    const events = await fetchHistory(this.ndk, this.updateHistoryFilter(since), { pageSize: this.backfillPageSize })
+    const groupOf = (event) => {
+      const chunk = chunkFromTags(event.tags)
+      return chunk ? `${event.pubkey}:${chunk.groupId}` : undefined
+    }
+    await this.enqueueIncoming(async () => {
+      const unseen = events.filter(event => !this.seenEvents.has(event.id))
+      const groups = new Set(unseen.map(groupOf).filter(group => group !== undefined))
+      const replayed = events.filter(event => !this.seenEvents.has(event.id) || groups.has(groupOf(event)))
+      if (replayed.length === 0) {
+        return
+      }
+      replayed.forEach(event => this.seenEvents.add(event.id))
+      // the live assembler skips groups it already completed
+      const chunks = new ChunkAssembler({
+        timeout: this.chunks.timeout,
+        onTimeout: (event) => this.rejectEvent(event, REJECT_INCOMPLETE_CHUNKS)
+      })
+      const update = await this.updateFromEvents(replayed, chunks)
+      chunks.destroy()
+      this.noteOnWire(update)
+      this.applyRemoteUpdate(update)
+    })
+  }
+
+  /**
+  * Forgets the keys of epochs before epoch, once a checkpoint under a newer key covers them
+  */
+  retireEpochs (epoch) {
+    Array.from(this.keyring.keys())
+      .filter(retired => retired < epoch && retired !== this.epoch)
+      .forEach(retired => this.keyring.delete(retired))
+  }
+
+  async updateFromEvent (event, chunks = this.chunks) {
+    const chunk = chunkFromTags(event.tags)
+    const update = chunk === undefined
+      ? await this.payloadFromEvent(event)
+      : await this.payloadFromChunk(event, chunk, chunks)
+    if (update === undefined) {
+      return
+    }
+    try {
+      // throws on anything that is not a yjs update
+      this.yjs.decodeUpdate(update)
+    } catch (error) {
+      this.rejectEvent(event, REJECT_INVALID_UPDATE, error)
+      return
+    }
+    if (!this.mayHaveWritten(event.pubkey, update)) {
+      this.rejectEvent(event, REJECT_NOT_A_MEMBER)
+      return
+    }
+    return update
+  }
+
+  /**
+  * Merges the updates of all valid events, bad events are skipped one by one
+  */
+  async updateFromEvents (events, chunks = this.chunks) {
+    // decrypted concurrently
+    const decoded = await Promise.all(events.map((e) => this.updateFromEvent(e, chunks)))
+    const updates = []
+    // validated oldest first, so each preview builds on the updates before it
+    const oldestFirst = events.map((event, i) => ({ event, update: decoded[i] })).sort((a, b) => byCreatedAt(a.event, b.event))
+    for (const { event, update } of oldestFirst) {
+      if (update !== undefined && await this.updateIsValid(update, event, updates)) {
+        updates.push(update)
+      }
+    }
+    const update = this.yjs.mergeUpdates(updates)
+    return update
+  }
+
+  /**
+  * Runs the validateUpdate hook on a remote update, rejected updates are reported with 'event-rejected'
+  * and quarantined when enabled. preview() returns a scratch copy of the document with update, and the
+  * accepted updates it follows, applied. Updates that build on rejected ones are rejected without asking the hook,
+  * yjs could never apply them
+  */
+  async updateIsValid (update, event, accepted = []) {
+    if (this.validateUpdate === undefined) {
+      return true
+    }
+    this.forgetAppliedRejections()
+    if (dependsOnRejected(this.yjs, update, this.rejectedStructs)) {
+      this.rejectUpdate(update, event, REJECT_REJECTED_DEPENDENCY)
+      return false
+    }
+    const { valid, error } = await this.runValidateUpdate(update, event, () => this.yjs.mergeUpdates([this.yjs.encodeStateAsUpdate(this.ydoc), ...accepted]))
+    if (valid) {
+      return true
+    }
+    this.rejectUpdate(update, event, REJECT_VALIDATION_FAILED, error)
+    return false
+  }
+
+  /**
+  * Asks the validateUpdate hook about update, preview() applies it to the document state base() returns
+  */
+  async runValidateUpdate (update, event, base) {
+    const preview = () => {
+      const doc = new this.yjs.Doc()
+      this.yjs.applyUpdate(doc, base())
+      this.yjs.applyUpdate(doc, update)
+      return doc
+    }
+    try {
+      return { valid: Boolean(await this.validateUpdate({ update, author: event.pubkey, event, preview })) }
+    } catch (error) {
+      return { valid: false, error }
+    }
+  }
+
+  rejectUpdate (update, event, reason, error) {
+    addRejectedStructs(this.yjs, update, this.rejectedStructs)
+    if (this.quarantine) {
+      this.quarantined.set(event.id, { event, author: event.pubkey, update, reason, error })
+    }
+    this.rejectEvent(event, reason, error)
+  }
+
+  forgetAppliedRejections () {
+    forgetAppliedStructs(this.yjs, this.ydoc, this.rejectedStructs)
+  }
+
+  /**
+  * Applies a quarantined update after all. Quarantined updates that build on it go through validation again
+  */
+  acceptQuarantined (id) {
+    const entry = this.quarantined.get(id)
+    if (entry === undefined) {
+      return Promise.resolve()
+    }
+    this.quarantined.delete(id)
+    this.acceptedEvents.add(id)
+    return this.enqueueIncoming(async () => {
+      this.applyAccepted(entry)
+      const dependents = Array.from(this.quarantined.values())
+        .filter(dependent => dependent.reason === REJECT_REJECTED_DEPENDENCY)
+        .sort((a, b) => byCreatedAt(a.event, b.event))
+      for (const dependent of dependents) {
+        this.quarantined.delete(dependent.event.id)
+        if (await this.updateIsValid(dependent.update, dependent.event)) {
+          this.acceptedEvents.add(dependent.event.id)
+          this.applyAccepted(dependent)
+        }
+      }
+    })
+  }
+
+  applyAccepted ({ event, update }) {
+    this.seenEvents.add(event.id)
+    this.noteOnWire(update)
+    this.applyRemoteUpdate(update)
+    this.forgetAppliedRejections()
+  }
+
+  dropQuarantined (id) {
+    this.quarantined.delete(id)
+  }
+
+  signEvent ({ kind, tags, content, createdAt }) {
+    return signEvent({ ndk: this.ndk, signer: this.signer, kind, tags, content, createdAt })
+  }
+
+  /**
+  * Resolves with one { relay, ok, error } receipt per relay
+  */
+  publishSignedEvent (event, relayUrls = this.explicitRelayUrls) {
+    return publishSignedEvent({
+      ndk: this.ndk,
+      event,
+      relayUrls,
+      timeout: this.publishTimeout
+    })
+  }
+
+  async publishEvent (params) {
+    return this.publishSignedEvent(await this.signEvent(params))
+  }
+
+  outgoing = Promise.resolve()
+
+  /**
+  * Runs publishing work one task at a time, so async encrypt hooks can't reorder updates
+  */
+  enqueueOutgoing (task) {
+    const done = this.outgoing.then(task)
+    // the next task runs anyway, the caller gets the error
+    this.outgoing = done.catch(() => {})
+    return done
+  }
+
+  /**
+  * Emits 'error' for failures of work nobody awaits, like a refused signature or a publish in the background.
+  * Logged when nobody listens
+  */
+  reportError = (error) => {
+    if (this._observers.has('error')) {
+      this.emit('error', [{ error }])
+    } else {
+      console.error(error)
+    }
+  }
+
+  /**
+  * Splits content over several events once it is larger than chunkSize, relays drop large events
+  */
+  contentParts (tags, content) {
+    if (content.length <= this.chunkSize) {
+      return [{ tags, content }]
+    }
+    return chunkTags(content, this.chunkSize).map(chunk => ({ tags: [...tags, chunk.tag], content: chunk.content }))
+  }
+
+  /**
+  * Resolves with one { relay, ok, error } receipt per relay, a relay is only ok
+  * when it stored every chunk of the update. Rejects when the update can't be encrypted or signed
+  */
+  publishUpdate (update, relayUrls) {
+    if (!this.mayPublishUpdates()) {
+      return Promise.resolve([])
+    }
+    // encrypting and signing stay in order, waiting for relay acknowledgements does not hold up the next update
+    const signed = this.enqueueOutgoing(async () => {
+      const { content, tags: contentTags } = await this.encodeContent(update)
+      const tags = [['e', this.nostrRoomCreateEventId], ...contentTags]
+      const events = []
+      for (const part of this.contentParts(tags, content)) {
+        events.push(await this.signEvent({ kind: this.YJS_UPDATE_EVENT_KIND, ...part }))
+      }
+      events.forEach(event => this.noteUpdateAt(event.created_at))
+      return events
+    })
+    return signed.then(async (events) => mergeReceipts(
+      await Promise.all(events.map(event => this.publishSignedEvent(event, relayUrls)))
+    ))
+  }
+
+  /**
+  * Publishes the merged document state so new joiners can skip the room log up to here.
+  * Rejects when it can't be encrypted or signed
+  */
+  checkpoint () {
+    if (!this.mayPublishUpdates()) {
+      return Promise.resolve()
+    }
+    const update = this.yjs.encodeStateAsUpdate(this.ydoc)
+    this.lastCheckpointStateVector = this.yjs.encodeStateVector(this.ydoc)
+    const coversTag = [CHECKPOINT_COVERS_TAG, String(this.newestUpdateAt)]
+    return this.enqueueOutgoing(async () => {
+      const { content, tags } = await this.encodeContent(update)
+      const parts = this.contentParts([['e', this.nostrRoomCreateEventId], ...tags], content)
+      if (parts.length === 1) {
+        return this.publishEvent({
+          kind: this.CHECKPOINT_EVENT_KIND,
+          tags: [['d', this.nostrRoomCreateEventId], coversTag, ...parts[0].tags],
+          content
+        })
+      }
+      // relays keep one event per d tag, so every chunk gets its own and the checkpoint lists them
+      const chunkEvents = []
+      for (const [index, part] of parts.entries()) {
+        chunkEvents.push(await this.signEvent({
+          kind: this.CHECKPOINT_EVENT_KIND,
+          tags: [['d', `${this.nostrRoomCreateEventId}:${index}`], ...part.tags],
+          content: part.content
+        }))
+      }
+      await Promise.all(chunkEvents.map(event => this.publishSignedEvent(event)))
+      return this.publishEvent({
+        kind: this.CHECKPOINT_EVENT_KIND,
+        tags: [
+          ['d', this.nostrRoomCreateEventId],
+          ['e', this.nostrRoomCreateEventId],
+          coversTag,
+          ...chunkEvents.map(event => [CHECKPOINT_CHUNK_TAG, event.id])
+        ],
+        content: ''
+      })
+    })
+  }
+
+  /**
+  * The update of a checkpoint event, fetching and reassembling its chunks when it lists any
+  */
+  async updateFromCheckpoint (event) {
+    const chunkIds = event.tags.filter(tag => tag[0] === CHECKPOINT_CHUNK_TAG).map(tag => tag[1])
+    if (chunkIds.length === 0) {
+      return await this.updateFromEvent(event)
+    }
+    if (!this.eventIsAuthentic(event, (pubkey) => this.wasWriter(pubkey))) {
+      return
+    }
+    const chunkEvents = new Map(Array.from(await this.ndk.fetchEvents({ ids: chunkIds }))
+      .filter(chunkEvent => chunkEvent.pubkey === event.pubkey)
+      .map(chunkEvent => [chunkEvent.id, chunkEvent]))
+    if (chunkIds.some(id => !chunkEvents.has(id))) {
+      // a later checkpoint replaced some of them
+      this.rejectEvent(event, REJECT_INCOMPLETE_CHUNKS)
+      return
+    }
+    const chunks = new ChunkAssembler({ timeout: this.chunks.timeout, onTimeout: () => {} })
+    let update
+    for (const id of chunkIds) {
+      update = await this.updateFromEvent(chunkEvents.get(id), chunks)
+    }
+    chunks.destroy()
+    return update
+  }
+
+  lastCheckpointStateVector
+  checkpointTimer
+  syncSub
+  syncTimer
+  // client ids of peers that sent us their state vector, each gets ours back once
+  syncPeers = new Set()
+
+  async publishSyncMessage (type, data) {
+    const message = encodeSyncMessage({ clientID: this.ydoc.clientID, type, data })
+    const { content, tags } = await this.encodeContent(message)
+    // a step 2 diff holds the whole document for a new peer
+    const parts = this.contentParts([['e', this.nostrRoomCreateEventId], ...tags], content)
+    return mergeReceipts(await Promise.all(parts.map(part => this.publishEvent({ kind: this.SYNC_EVENT_KIND, ...part }))))
+  }
+
+  /**
+  * Sends our state vector and delete set (sync step 1), online peers answer with what we are missing (sync step 2)
+  */
+  requestSync () {
+    return this.publishSyncMessage(SYNC_STEP_1, this.yjs.encodeSnapshot(this.yjs.snapshot(this.ydoc)))
+  }
+
+  processIncomingSyncEvent = (event) => this.enqueueIncoming(async () => {
+    const isAllowed = (pubkey) => this.isMember(pubkey)
+    const chunk = chunkFromTags(event.tags)
+    const payload = chunk === undefined
+      ? await this.payloadFromEvent(event, isAllowed)
+      : await this.payloadFromChunk(event, chunk, this.syncChunks, isAllowed)
+    if (payload === undefined) {
+      return
+    }
+    let message
+    try {
+      message = decodeSyncMessage(payload)
+    } catch (error) {
+      this.rejectEvent(event, REJECT_MALFORMED_CONTENT, error)
+      return
+    }
+    const { clientID, type, data } = message
+    if (clientID === this.ydoc.clientID) {
+      return
+    }
+    if (type === SYNC_STEP_1) {
+      let peer
+      try {
+        peer = this.yjs.decodeSnapshot(data)
+      } catch (error) {
+        this.rejectEvent(event, REJECT_MALFORMED_CONTENT, error)
+        return
+      }
+      const ours = this.yjs.snapshot(this.ydoc)
+      // a peer in sync gets no answer, every diff would carry the whole delete set
+      const peerHasOurs = stateVectorContains(peer.sv, ours.sv) && deleteSetContains(peer.ds, ours.ds)
+      if (!peerHasOurs && this.mayPublishUpdates()) {
+        const diff = this.yjs.encodeStateAsUpdate(this.ydoc, this.yjs.encodeStateVector(peer.sv))
+        this.publishSyncMessage(SYNC_STEP_2, diff).catch(this.reportError)
+      }
+      if (!this.syncPeers.has(clientID)) {
+        // a peer we haven't heard from, it may be missing our changes too
+        this.syncPeers.add(clientID)
+        this.requestSync().catch(this.reportError)
+      }
+      return
+    }
+    try {
+      this.yjs.decodeUpdate(data)
+    } catch (error) {
+      this.rejectEvent(event, REJECT_INVALID_UPDATE, error)
+      return
+    }
+    // step 2 and updates are document changes, read-only members may only ask
+    if (!this.mayHaveWritten(event.pubkey, data)) {
+      this.rejectEvent(event, REJECT_NOT_A_MEMBER)
+      return
+    }
+    if (!await this.updateIsValid(data, event)) {
+      return
+    }
+    const ours = this.yjs.snapshot(this.ydoc)
+    const recovered = !stateVectorContains(ours.sv, this.yjs.parseUpdateMeta(data).to) ||
+      !deleteSetContains(ours.ds, this.yjs.decodeUpdate(data).ds)
+    this.applyRemoteUpdate(data)
+    if (recovered && this.mayPublishUpdates()) {
+      // relays didn't deliver these changes, the next peer to join reads them from relays again
+      this.publishUpdate(this.yjs.diffUpdate(data, this.yjs.encodeStateVector(ours.sv))).catch(this.reportError)
+    }
+  })
+
+  startSyncHandshake () {
+    this.syncSub = this.subscribeRoom({
+      kind: this.SYNC_EVENT_KIND,
+      since: Math.floor(Date.now() / 1000),
+      onEvent: this.processIncomingSyncEvent
+    })
+    if (this.syncInterval > 0) {
+      this.syncTimer = setInterval(() => this.requestSync().catch(this.reportError), this.syncInterval)
+    }
+    this.requestSync().catch(this.reportError)
+  }
+
+  stopSyncHandshake () {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer)
+      this.syncTimer = undefined
+    }
+    this.syncSub?.stop()
+    this.syncSub = undefined
+    this.syncPeers.clear()
+  }
+
+  checkpointIfChanged = () => {
+    const stateVector = this.yjs.encodeStateVector(this.ydoc)
+    if (
+      this.lastCheckpointStateVector !== undefined &&
+      arrayBuffersAreEqual(stateVector.buffer, this.lastCheckpointStateVector.buffer)
+    ) {
+      return
+    }
+    this.checkpoint().catch(this.reportError)
+  }
+
+  /**
+  * Finds the newest checkpoint of this room we are able to read and can trust. Updates older than a checkpoint
+  * are never replayed, so one that is empty or lacks what an older checkpoint has would lose them
+  */
+  async fetchLatestCheckpoint () {
+    const checkpointEvents = await this.ndk.fetchEvents({
+      kinds: [this.CHECKPOINT_EVENT_KIND],
+      '#d': [this.nostrRoomCreateEventId],
+      ...this.authorsFilter()
+    })
+    const now = Math.floor(Date.now() / 1000)
+    // a checkpoint from the future would win over every later one
+    const newestFirst = Array.from(checkpointEvents)
+      .filter(event => event.created_at <= now + MAX_CLOCK_SKEW_SECONDS)
+      .sort((a, b) => b.created_at - a.created_at)
+    const readable = []
+    for (const event of newestFirst) {
+      const update = await this.updateFromCheckpoint(event)
+      if (update !== undefined && await this.updateIsValid(update, event)) {
+        readable.push({ event, update, stateVector: this.yjs.decodeStateVector(this.yjs.encodeStateVectorFromUpdate(update)) })
+      }
+    }
+    const trusted = readable.find(({ stateVector }, i) => stateVector.size > 0 &&
+      readable.slice(i + 1).every(older => stateVectorContains(stateVector, older.stateVector)))
+    if (trusted !== undefined) {
+      return { event: trusted.event, update: trusted.update, since: this.historySince(trusted.event, now) }
+    }
+  }
+
+  /**
+  * Where the update history resumes after a checkpoint: the newest update event it merged, never later than
+  * the checkpoint itself or our clock. Checkpoints without a covers tag only have their own timestamp
+  */
+  historySince (event, now) {
+    const covers = Number(event.tags.find(tag => tag[0] === CHECKPOINT_COVERS_TAG)?.[1])
+    const cut = Math.min(event.created_at, now, Number.isInteger(covers) ? covers : Infinity)
+    return Math.max(0, cut - CHECKPOINT_OVERLAP_SECONDS)
+  }
 
-const pool = new SimplePool()
+  /**
+  * Every update event of the room since `since`, paged backward through each relay.
+  * Reports progress with 'backfill-progress'
+  */
+  async fetchUpdateHistory (since) {
+    const events = await fetchHistory(this.ndk, this.updateHistoryFilter(since), {
+      pageSize: this.backfillPageSize,
+      onPage: (progress) => this.emit('backfill-progress', [{ ...progress, complete: false }])
+    })
+    this.emit('backfill-progress', [{ fetched: events.length, complete: true }])
+    return events
+  }
 
-export async function createNostrCRDTRoom (
-  params
-) {
-  // plagiarized from:
-  // https://github.com/YousefED/nostr-crdt/blob/main/packages/nostr-crdt/src/createNostrCRDTRoom.ts
-  const {
-    ndk,
-    label,
-    initialLocalState,
-    YJS_UPDATE_EVENT_KIND,
-    secretNostrKey,
-    explicitRelayUrls,
-    encrypt
-  } = {
-    encrypt: (passthrough) => passthrough,
-    ...params
+  updateHistoryFilter (since) {
+    return {
+      kinds: [this.YJS_UPDATE_EVENT_KIND],
+      since,
+      '#e': [this.nostrRoomCreateEventId],
+      ...this.authorsFilter()
+    }
   }
 
-  return new Promise((resolve) => {
-    const sub = ndk.subscribe({
-      since: Math.floor(Date.now() / 1000) - 1,
-      kinds: [YJS_UPDATE_EVENT_KIND]
-    }, {
-      closeOnEose: true
-    })
-    sub.on('event', (event) => {
-      resolve(event.id)
+  /**
+  * Every update of the room we can read, oldest first: [{ id, eventIds, author, createdAt, size, update }].
+  * A chunked update is listed once under its last chunk, eventIds has all of its events
+  */
+  async getHistory () {
+    const events = (await fetchHistory(this.ndk, this.updateHistoryFilter(0), { pageSize: this.backfillPageSize }))
+      .sort(byCreatedAt)
+    // the live assembler skips groups it already completed
+    const chunks = new ChunkAssembler({
+      timeout: this.chunks.timeout,
+      onTimeout: (event) => this.rejectEvent(event, REJECT_INCOMPLETE_CHUNKS)
     })
+    const chunkEventIds = new Map()
+    const validated = this.historyValidation()
+    const history = []
+    for (const event of events) {
+      const chunk = chunkFromTags(event.tags)
+      const group = chunk ? `${event.pubkey}:${chunk.groupId}` : event.id
+      chunkEventIds.set(group, [...(chunkEventIds.get(group) ?? []), event.id])
+      const update = await this.updateFromEvent(event, chunks)
+      if (update !== undefined && await validated.isValid(update, event)) {
+        history.push({
+          id: event.id,
+          eventIds: chunkEventIds.get(group),
+          author: event.pubkey,
+          createdAt: event.created_at,
+          size: update.length,
+          update
+        })
+      }
+    }
+    chunks.destroy()
+    return history
+  }
 
-    if (secretNostrKey === undefined) {
-      const event = new NDKEvent(ndk, {
-        kind: YJS_UPDATE_EVENT_KIND,
-        tags: [['crdt', label]],
-        content: toBase64(encrypt(initialLocalState))
-      })
-      ndk.publish(event)
-    }
-
-    if (secretNostrKey !== undefined) {
-      ndk.signer.user().then(theUser => {
-        const signedEvent = finalizeEvent({
-          kind: YJS_UPDATE_EVENT_KIND,
-          created_at: Math.floor(Date.now() / 1000),
-          tags: [['crdt', label]],
-          content: toBase64(encrypt(initialLocalState))
-        }, secretNostrKey)
-        verifyEvent(signedEvent) && pool.publish(explicitRelayUrls, signedEvent)
-      })
+  /**
+  * Validates history updates in order, each preview builds on the valid updates before it.
+  * Rejections were reported when the updates came in, so they are skipped quietly
+  */
+  historyValidation () {
+    if (this.validateUpdate === undefined) {
+      return { isValid: async () => true }
     }
-  })
-}
+    const doc = new this.yjs.Doc()
+    const rejected = new Map()
+    const isValid = async (update, event) => {
+      const valid = this.acceptedEvents.has(event.id) || (
+        !dependsOnRejected(this.yjs, update, rejected) &&
+        (await this.runValidateUpdate(update, event, () => this.yjs.encodeStateAsUpdate(doc))).valid)
+      if (!valid) {
+        addRejectedStructs(this.yjs, update, rejected)
+        return false
+      }
+      this.yjs.applyUpdate(doc, update)
+      forgetAppliedStructs(this.yjs, doc, rejected)
+      return true
+    }
+    return { isValid }
+  }
 
-export class NostrProvider extends ObservableV2 {
-  constructor (
-    params
-  ) {
-    const {
-      yjs,
-      ydoc,
-      nostrRoomCreateEventId,
-      ndk,
-      YJS_UPDATE_EVENT_KIND,
-      secretNostrKey,
-      explicitRelayUrls,
-      encrypt,
-      decrypt
-    } = {
-      encrypt: (passthrough) => passthrough,
-      decrypt: (passthrough) => passthrough,
-      ...params
+  /**
+  * Rebuilds the document as it was at a unix timestamp in seconds, or right after the update with an event id
+  */
+  async docAt (target) {
+    const entries = entriesUntil(await this.getHistory(), target)
+    const doc = new this.yjs.Doc()
+    if (entries.length > 0) {
+      this.yjs.applyUpdate(doc, this.yjs.mergeUpdates(entries.map(entry => entry.update)))
     }
+    return doc
+  }
 
-    super()
-    this.yjs = yjs
-    this.ydoc = ydoc
-    this.ndk = ndk
-    this.nostrRoomCreateEventId = nostrRoomCreateEventId
-    this.ydoc.on('update', (update, origin) => {
-      this.documentUpdateListener(update, origin)
+  /**
+  * Publishes a new update that brings the document back to its version right after eventId,
+  * resolves with that update
+  */
+  async restore (eventId) {
+    if (!this.mayPublishUpdates()) {
+      throw new Error('read-only members cannot restore a version')
+    }
+    const update = revertUpdate(this.yjs, this.ydoc, await this.docAt(eventId))
+    // a local change, published like any other edit
+    this.yjs.applyUpdate(this.ydoc, update)
+    await this.flushPendingUpdates()
+    return update
+  }
+
+  noteSeen (event, relay = event.relay) {
+    if (relay !== undefined) {
+      this.relayHealth.seen(relay.url, event.created_at)
+    }
+    this.noteUpdateAt(event.created_at)
+  }
+
+  // created_at of the newest update event we received or published, what our next checkpoint covers
+  newestUpdateAt = 0
+
+  noteUpdateAt (createdAt) {
+    if (createdAt <= Math.floor(Date.now() / 1000) + MAX_CLOCK_SKEW_SECONDS) {
+      this.newestUpdateAt = Math.max(this.newestUpdateAt, createdAt)
+    }
+  }
+
+  relayStatusChanged = (status, previousStatus) => {
+    this.emit('relay-status', [status])
+    if (this.reconnectTimer !== undefined && status.status === RELAY_CONNECTED) {
+      this.reconnect()
+      return
+    }
+    if (!this.synced) {
+      return
+    }
+    if (status.status === RELAY_DISCONNECTED && previousStatus === RELAY_CONNECTED) {
+      this.relayStates.set(status.url, this.yjs.encodeStateAsUpdate(this.ydoc))
+    } else if (status.status === RELAY_CONNECTED && this.relayStates.has(status.url)) {
+      this.fillRelayGap(status).catch(this.reportError)
+    }
+  }
+
+  /**
+  * Applies what a reconnected relay received while we were away from it,
+  * then publishes to it whatever it is still missing from our document
+  */
+  async fillRelayGap ({ url, lastSeen }) {
+    const stateAtDisconnect = this.relayStates.get(url)
+    this.relayStates.delete(url)
+    const relay = this.ndk.pool.relays.get(url)
+    if (relay === undefined) {
+      return
+    }
+    const since = lastSeen === undefined ? this.updateSince : Math.max(0, lastSeen - RELAY_GAP_OVERLAP_SECONDS)
+    const events = await fetchHistory(this.ndk, this.updateHistoryFilter(since), {
+      relays: [relay],
+      pageSize: this.backfillPageSize
     })
-    this.YJS_UPDATE_EVENT_KIND = YJS_UPDATE_EVENT_KIND
-    this.secretNostrKey = secretNostrKey
-    this.explicitRelayUrls = explicitRelayUrls
-    this.encrypt = encrypt
-    this.decrypt = decrypt
+    events.forEach(event => this.noteSeen(event, relay))
+    let gap
+    await this.enqueueIncoming(async () => {
+      // decodes events we saw before too, the relay's state needs all of them
+      gap = await this.updateFromEvents(events)
+      events.forEach(event => this.seenEvents.add(event.id))
+      this.noteOnWire(gap)
+      this.applyRemoteUpdate(gap)
+    })
+    if (gap === undefined || !this.synced || !this.mayPublishUpdates()) {
+      return
+    }
+    const relayDoc = new this.yjs.Doc()
+    this.yjs.applyUpdate(relayDoc, this.yjs.mergeUpdates([stateAtDisconnect, gap]))
+    if (this.yjs.equalSnapshots(this.yjs.snapshot(relayDoc), this.yjs.snapshot(this.ydoc))) {
+      return
+    }
+    const missing = this.yjs.diffUpdate(this.yjs.encodeStateAsUpdate(this.ydoc), this.yjs.encodeStateVector(relayDoc))
+    return this.publishUpdate(missing, [url])
   }
 
-  updateFromEvents (events) {
-    let updates = null
-    updates = events.map((e) => this.decrypt(fromBase64(e.content)))
-    const update = this.yjs.mergeUpdates(updates)
-    return update
+  updateIsComplete (update) {
+    const scratchDoc = new this.yjs.Doc()
+    this.yjs.applyUpdate(scratchDoc, update)
+    return scratchDoc.store.pendingStructs === null && scratchDoc.store.pendingDs === null
   }
 
-  publishUpdate (update) {
-    if (this.secretNostrKey === undefined) {
-      const event = new NDKEvent(this.ndk, {
-        kind: this.YJS_UPDATE_EVENT_KIND,
-        tags: [['e', this.nostrRoomCreateEventId]],
-        content: toBase64(this.encrypt(update))
-      })
-      this.ndk.publish(event)
-    }
-
-    if (this.secretNostrKey !== undefined) {
-      this.ndk.signer.user().then(theUser => {
-        const signedEvent = finalizeEvent({
-          kind: this.YJS_UPDATE_EVENT_KIND,
-          created_at: Math.floor(Date.now() / 1000),
-          tags: [['e', this.nostrRoomCreateEventId]],
-          content: toBase64(this.encrypt(update))
-        }, this.secretNostrKey)
-        verifyEvent(signedEvent) && pool.publish(this.explicitRelayUrls, signedEvent)
-      })
+  async publishAwareness (clients, states = this.awareness.getStates()) {
+    const update = encodeAwarenessUpdate(this.awareness, clients, states)
+    const { content, tags } = await this.encodeContent(update)
+    return this.publishEvent({
+      kind: this.AWARENESS_EVENT_KIND,
+      tags: [['e', this.nostrRoomCreateEventId], ...tags],
+      content
+    })
+  }
+
+  /**
+  * Publishes changes to our own awareness state, remote states are left to their owners
+  */
+  awarenessUpdateListener = ({ added, updated, removed }, origin) => {
+    if (origin === this) {
+      return
+    }
+    const changedClients = added.concat(updated, removed)
+      .filter(clientID => clientID === this.awareness.clientID)
+    if (changedClients.length > 0) {
+      this.publishAwareness(changedClients).catch(this.reportError)
+    }
+  }
+
+  // our awareness state when the page was hidden, a page restored from the back/forward cache shows it again
+  hiddenLocalState = null
+
+  /**
+  * Drops our awareness state like y-websocket does, nothing async completes once the process exits
+  */
+  exitHandler = () => {
+    this.hiddenLocalState = this.awareness.getLocalState()
+    removeAwarenessStates(this.awareness, [this.awareness.clientID], 'app closed')
+  }
+
+  pagehideHandler = () => {
+    this.flush().catch(this.reportError)
+    this.exitHandler()
+  }
+
+  pageshowHandler = (event) => {
+    if (event.persisted && this.hiddenLocalState !== null && this.awareness.getLocalState() === null) {
+      this.awareness.setLocalState(this.hiddenLocalState)
     }
+    this.hiddenLocalState = null
   }
 
+  /**
+  * Handles incoming awareness events from nostr
+  */
+  processIncomingAwarenessEvent = (event) => this.enqueueIncoming(async () => {
+    const update = await this.payloadFromEvent(event, (pubkey) => this.isMember(pubkey))
+    if (update === undefined) {
+      return
+    }
+    try {
+      applyAwarenessUpdate(this.awareness, update, this)
+    } catch (error) {
+      this.rejectEvent(event, REJECT_INVALID_UPDATE, error)
+    }
+  })
+
   pendingUpdates = []
+  pendingBytes = 0
   sendPendingTimeout
+  // started by the first update of a batch, unlike sendPendingTimeout it isn't restarted by later ones
+  maxWaitTimeout
+
+  documentUpdateHandler = (update, origin) => {
+    this.documentUpdateListener(update, origin)
+  }
+
+  /**
+  * Publishes buffered local updates right away
+  */
+  flushPendingUpdates () {
+    if (this.sendPendingTimeout) {
+      clearTimeout(this.sendPendingTimeout)
+      this.sendPendingTimeout = undefined
+    }
+    if (this.maxWaitTimeout) {
+      clearTimeout(this.maxWaitTimeout)
+      this.maxWaitTimeout = undefined
+    }
+    if (this.pendingUpdates.length === 0) {
+      return Promise.resolve()
+    }
+    const update = this.yjs.mergeUpdates(this.pendingUpdates)
+    this.pendingUpdates = []
+    this.pendingBytes = 0
+    return this.queueUpdate(update)
+  }
+
+  /**
+  * Publishes the current batch of local updates without waiting for the batch delay
+  */
+  flush () {
+    return Promise.all([this.flushPendingUpdates(), this.flushBridgedUpdates()])
+  }
+
+  /**
+  * Publishes through the outbox, which retries until enough relays acknowledged the update
+  */
+  queueUpdate (update) {
+    if (!this.mayPublishUpdates()) {
+      return Promise.resolve()
+    }
+    this.noteOnWire(update)
+    return this.outbox.add(update)
+  }
+
+  // client id to clock, how much of each client's changes relays delivered to us or we published
+  wireStateVector = new Map()
+  // deletes relays delivered to us or we published, undefined until the first update
+  wireDeleteSet
+
+  noteOnWire (update) {
+    const { ds } = this.yjs.decodeUpdate(update)
+    this.wireDeleteSet = this.yjs.mergeDeleteSets(this.wireDeleteSet === undefined ? [ds] : [this.wireDeleteSet, ds])
+    const { from, to } = this.yjs.parseUpdateMeta(update)
+    to.forEach((clock, client) => {
+      const onWire = this.wireStateVector.get(client) ?? 0
+      // an update starting past what we know of would leave a gap
+      if (from.get(client) <= onWire && clock > onWire) {
+        this.wireStateVector.set(client, clock)
+      }
+    })
+  }
+
+  shouldPublishOrigin (origin) {
+    if (origin === this || this.denyOrigins.has(origin)) {
+      return false
+    }
+    return this.allowOrigins.has(origin) || this.publishOrigin(origin)
+  }
+
+  bridgedUpdates = []
+  bridgeTimeout
+
+  /**
+  * Publishes the part of updates from other providers that relays don't have yet
+  */
+  flushBridgedUpdates () {
+    if (this.bridgeTimeout) {
+      clearTimeout(this.bridgeTimeout)
+      this.bridgeTimeout = undefined
+    }
+    if (this.bridgedUpdates.length === 0) {
+      return Promise.resolve()
+    }
+    const bridged = this.yjs.mergeUpdates(this.bridgedUpdates)
+    this.bridgedUpdates = []
+    const missing = this.yjs.diffUpdate(bridged, this.yjs.encodeStateVector(this.wireStateVector))
+    const { ds } = this.yjs.decodeUpdate(missing)
+    const deletesOnWire = ds.clients.size === 0 || (this.wireDeleteSet !== undefined && deleteSetContains(this.wireDeleteSet, ds))
+    if (this.yjs.parseUpdateMeta(missing).from.size === 0 && deletesOnWire) {
+      // the peer that made the changes published them already
+      return Promise.resolve()
+    }
+    return this.queueUpdate(missing)
+  }
 
   async documentUpdateListener (update, origin) {
     // https://discuss.yjs.dev/t/how-to-distinguish-which-user-triggered-this-update/2584
     if (origin === this) {
       return
     }
-    if (origin?.provider) {
+    // while disconnected, the initial sync after the next connect() publishes what is missing on the wire
+    if (!this.shouldConnect) {
       return
     }
-    this?.pendingUpdates.push(update)
-
-    if (this?.sendPendingTimeout) {
-      clearTimeout(this.sendPendingTimeout)
+    if (!this.shouldPublishOrigin(origin)) {
+      return
     }
-
-    // buffer every 100ms
-    if (this === undefined) {
+    // y-webrtc rooms have a provider property, another NostrProvider on this document is its own origin
+    if (origin?.provider !== undefined || origin instanceof NostrProvider) {
+      this.bridgedUpdates.push(update)
+      if (this.bridgeTimeout === undefined) {
+        // jittered, so bridges on several peers of one network rarely publish the same changes
+        this.bridgeTimeout = setTimeout(() => {
+          this.flushBridgedUpdates().catch(this.reportError)
+        }, this.bridgeDelay * (1 + Math.random()))
+      }
+      return
+    }
+    this.pendingUpdates.push(update)
+    this.pendingBytes += update.length
+    if (this.pendingBytes >= this.batchMaxBytes) {
+      this.flushPendingUpdates().catch(this.reportError)
       return
     }
+    if (this.sendPendingTimeout) {
+      clearTimeout(this.sendPendingTimeout)
+    }
     this.sendPendingTimeout = setTimeout(() => {
-      this.publishUpdate(this.yjs.mergeUpdates(this.pendingUpdates))
-      this.pendingUpdates = []
-    }, 100)
+      this.flushPendingUpdates().catch(this.reportError)
+    }, this.batchDelay)
+    if (this.maxWaitTimeout === undefined) {
+      // continuous typing keeps pushing the batch delay back
+      this.maxWaitTimeout = setTimeout(() => {
+        this.flushPendingUpdates().catch(this.reportError)
+      }, this.batchMaxWait)
+    }
+  }
+
+  incoming = Promise.resolve()
+
+  /**
+  * Runs receiving work one task at a time, so async decrypt hooks can't reorder updates
+  */
+  enqueueIncoming (task) {
+    this.incoming = this.incoming.then(task).catch(this.reportError)
+    return this.incoming
   }
 
   /**
   * Handles incoming events from nostr
   */
-  processIncomingEvents = (events) => {
-    const update = this.updateFromEvents(events)
+  processIncomingEvents = (events) => this.enqueueIncoming(async () => {
+    const unseen = events.filter(event => this.seenEvents.add(event.id))
+    if (unseen.length === 0) {
+      return
+    }
+    const update = await this.updateFromEvents(unseen)
     if (update === undefined) {
       return
     }
+    this.noteOnWire(update)
+    this.applyRemoteUpdate(update)
+  })
+
+  structsPending = false
+
+  /**
+  * Yjs keeps the structs of clients with a gap in store.pendingStructs until the updates they build on arrive,
+  * the structs of every other client are applied right away
+  */
+  applyRemoteUpdate (update) {
     this.yjs.applyUpdate(this.ydoc, update, this)
+    this.reportPendingStructs(this.ydoc.store.pendingStructs?.missing)
+  }
+
+  /**
+  * Emits 'pending-structs' with { pending, missing } while updates wait, missing maps each client to a clock
+  * the document still lacks. Emitted once more when they are applied
+  */
+  reportPendingStructs (missing) {
+    const pending = missing !== undefined
+    if (pending || this.structsPending) {
+      this.emit('pending-structs', [{ pending, missing: missing ?? new Map() }])
+    }
+    this.structsPending = pending
+  }
+
+  /**
+  * Connects subdocs the app loads, subdocs it never loads are not fetched. Removed subdocs are closed
+  */
+  subdocsHandler = ({ loaded, removed }) => {
+    if (!this.subdocs || !this.synced) {
+      // the initial sync loads what was loaded before
+      return
+    }
+    removed.forEach(subdoc => this.closeSubdoc(subdoc.guid))
+    loaded.forEach(subdoc => {
+      if (!removed.has(subdoc)) {
+        this.loadSubdoc(subdoc).catch(this.reportError)
+      }
+    })
+  }
+
+  /**
+  * Resolves with the provider syncing subdoc through its child room, which is created on first use
+  */
+  loadSubdoc (subdoc) {
+    if (!this.subdocProviders.has(subdoc.guid)) {
+      const provider = this.openSubdoc(subdoc)
+      this.subdocProviders.set(subdoc.guid, provider)
+      provider.catch(() => {
+        // a later load tries again
+        if (this.subdocProviders.get(subdoc.guid) === provider) {
+          this.subdocProviders.delete(subdoc.guid)
+        }
+      })
+    }
+    return this.subdocProviders.get(subdoc.guid)
+  }
+
+  async openSubdoc (subdoc) {
+    const room = await this.subdocRoom(subdoc.guid)
+    this.subdocRooms.set(subdoc.guid, room)
+    const params = {
+      ...this.subdocParams,
+      ydoc: subdoc,
+      nostrRoomCreateEventId: room,
+      // the key we publish with now, rotateKey and addEpochKey reach open subdocs later on
+      epoch: this.epoch,
+      cipher: { id: this.cipherId, encrypt: this.encrypt, decrypt: this.decrypt },
+      keyring: this.keyring
+    }
+    const provider = this.roomManager === undefined ? new NostrProvider(params) : this.roomManager.openRoom(params)
+    provider.connect()
+    return provider
+  }
+
+  forEachSubdoc (f) {
+    this.subdocProviders.forEach(provider => provider.then(f, () => {}))
+  }
+
+  closeSubdoc (guid) {
+    const provider = this.subdocProviders.get(guid)
+    if (provider === undefined) {
+      return
+    }
+    this.subdocProviders.delete(guid)
+    provider.then(provider => {
+      if (this.roomManager === undefined) {
+        provider.destroy()
+      } else {
+        this.roomManager.closeRoom(provider.nostrRoomCreateEventId)
+      }
+    }, () => {})
+  }
+
+  /**
+  * The id of the child room labeled with the subdoc's guid. Only writers of this room may create one,
+  * it starts with this room's member list and follows its membership updates. Edits a removed writer made
+  * in a subdoc the owner never opened stay only in the checkpoints of remaining writers
+  */
+  async subdocRoom (guid) {
+    const find = () => findChildRoom(this.ndk, {
+      parent: this.nostrRoomCreateEventId,
+      label: guid,
+      YJS_UPDATE_EVENT_KIND: this.YJS_UPDATE_EVENT_KIND,
+      isAllowed: (pubkey) => this.isWriter(pubkey)
+    })
+    const existing = await find()
+    if (existing !== undefined) {
+      return existing
+    }
+    if (!this.mayPublishUpdates()) {
+      throw new Error(`subdoc ${guid} has no room yet, only writers can create it`)
+    }
+    const room = await createNostrCRDTRoom({
+      ndk: this.ndk,
+      label: guid,
+      parent: this.nostrRoomCreateEventId,
+      initialLocalState: this.yjs.encodeStateAsUpdate(new this.yjs.Doc()),
+      YJS_UPDATE_EVENT_KIND: this.YJS_UPDATE_EVENT_KIND,
+      signer: this.signer,
+      explicitRelayUrls: this.explicitRelayUrls,
+      timeout: this.publishTimeout,
+      cipher: { id: this.cipherId, encrypt: this.encrypt },
+      ...(this.membership === undefined
+        ? {}
+        : {
+            owner: this.membership.owner,
+            members: Array.from(this.membership.writers),
+            readers: Array.from(this.membership.readers)
+          })
+    })
+    // another writer may have created one at the same time
+    return (await find()) ?? room.id
+  }
+
+  initialize () {
+    return this.connect()
   }
 
-  async initialize () {
+  async connect () {
+    if (this.shouldConnect) {
+      return
+    }
+    this.shouldConnect = true
+    if (this.whenSyncedSettled) {
+      this.armWhenSynced()
+    }
+    this.clearReconnect()
+    this.relayHealth.start()
     try {
+      // updates an earlier session could not publish, restored before any relay has to answer.
+      // The initial sync publishes what relays are missing
+      const restored = await this.outbox.load()
+      if (restored.length > 0) {
+        this.yjs.applyUpdate(this.ydoc, this.yjs.mergeUpdates(restored), this)
+      }
+      await this.fetchMembership()
+      const checkpoint = await this.fetchLatestCheckpoint()
+      if (this.shouldConnect) {
+        this.outbox.resume().catch(this.reportError)
+      }
+      if (!this.shouldConnect || this.updateSub !== undefined) {
+        // disconnect() or another connect() happened while we were looking for a checkpoint
+        return
+      }
+      if (this.membership !== undefined) {
+        // membership events carry an e tag too, so they share the room manager's subscription
+        this.membershipSubs = this.membershipRooms().map(room => this.subscribeRoom({
+          room,
+          kind: this.MEMBERSHIP_EVENT_KIND,
+          since: this.membershipCreatedAt + 1,
+          authors: [this.membership.owner],
+          onEvent: this.processIncomingMembershipEvent
+        }))
+      }
+      this.awarenessSub = this.subscribeRoom({
+        kind: this.AWARENESS_EVENT_KIND,
+        since: Math.floor(Date.now() / 1000),
+        onEvent: this.processIncomingAwarenessEvent
+      })
+      if (this.awareness.getLocalState() !== null) {
+        this.publishAwareness([this.awareness.clientID]).catch(this.reportError)
+      }
+
       let eoseSeen = false
       const initialEvents = []
-      const sub = this.ndk.subscribe(
-        {
-          kinds: [this.YJS_UPDATE_EVENT_KIND],
-          // limit: 1,
-          since: 0,
-          '#e': [this.nostrRoomCreateEventId]
+      this.updateSince = checkpoint?.since ?? 0
+      const authorsAtSubscribe = this.authorsFilter().authors
+      // relays truncate large results, history is paged in before the live subscription takes over
+      const backfillStartedAt = Math.floor(Date.now() / 1000)
+      const history = await this.fetchUpdateHistory(this.updateSince)
+      if (!this.shouldConnect || this.updateSub !== undefined) {
+        return
+      }
+      const sub = this.subscribeRoom({
+        kind: this.YJS_UPDATE_EVENT_KIND,
+        since: backfillStartedAt,
+        authors: authorsAtSubscribe,
+        onEvent: (e, relay) => {
+          this.noteSeen(e, relay)
+          if (!eoseSeen) {
+            initialEvents.push(e)
+          } else {
+            this.processIncomingEvents([e])
+          }
         },
-        { closeOnEose: false }
-      )
-      sub.on('event', (e) => {
-        if (!eoseSeen) {
-          initialEvents.push(e)
-        } else {
-          this.processIncomingEvents([e])
-        }
+        // eose arrives asynchronously, after initialSync below is defined
+        onEose: () => initialSync()
       })
-      sub.on('events', (es) => {
-        this.processIncomingEvents(es)
-      })
-      sub.on('eose', () => {
+      this.updateSub = sub
+      const initialSync = () => this.enqueueIncoming(async () => {
         eoseSeen = true
+        history.forEach(event => this.noteSeen(event))
+        initialEvents.forEach(event => this.seenEvents.add(event.id))
+        history.forEach(event => this.seenEvents.add(event.id))
+        const historyIds = new Set(history.map(event => event.id))
+        const roomEvents = [...history, ...initialEvents.filter(event => !historyIds.has(event.id))]
+        // events we cannot verify, decrypt or decode are reported through 'event-rejected' and skipped
+        let update = await this.updateFromEvents(roomEvents)
+        if (checkpoint !== undefined) {
+          update = this.yjs.mergeUpdates([checkpoint.update, update])
+          if (!this.updateIsComplete(update)) {
+            // the checkpoint is missing history the later updates depend on, replay the whole room
+            const allEvents = await this.fetchUpdateHistory(0)
+            update = this.yjs.mergeUpdates([
+              update,
+              await this.updateFromEvents(allEvents)
+            ])
+          }
+        }
+        if (this.updateSub !== sub) {
+          return
+        }
         const initialLocalState = this.yjs.encodeStateAsUpdate(this.ydoc)
         const initialLocalStateVector = this.yjs.encodeStateVectorFromUpdate(initialLocalState)
         const deleteSetOnlyUpdate = this.yjs.diffUpdate(
@@ -202,10 +2057,8 @@ export class NostrProvider extends ObservableV2 {
           initialLocalStateVector
         )
         const oldSnapshot = this.yjs.snapshot(this.ydoc)
-        // This can fail because of no access to room. Because the room history should always be available,
-        // we don't catch this event here
-        const update = this.updateFromEvents(initialEvents)
-        if (initialEvents?.length > 0) {
+        if (checkpoint !== undefined || roomEvents.length > 0) {
+          this.noteOnWire(update)
           this.yjs.applyUpdate(this.ydoc, update, this)
         }
 
@@ -235,12 +2088,133 @@ export class NostrProvider extends ObservableV2 {
             // missingOnWire only contains a deleteSet with items that are already in the deleteSet on server
           }
         }
-        if (missingOnWire.length > 2) {
-          this.publishUpdate(missingOnWire)
+        // the diff covers every queued update the relays are missing
+        await this.outbox.replace(missingOnWire.length > 2 && this.mayPublishUpdates() ? missingOnWire : undefined)
+        if (this.checkpointInterval > 0) {
+          this.checkpointTimer = setInterval(this.checkpointIfChanged, this.checkpointInterval)
+        }
+        this.synced = true
+        if (this.syncHandshake) {
+          this.startSyncHandshake()
+        }
+        if (this.subdocs) {
+          this.ydoc.getSubdocs().forEach(subdoc => {
+            if (subdoc.shouldLoad) {
+              this.loadSubdoc(subdoc).catch(this.reportError)
+            }
+          })
+        }
+        if (authorsAtSubscribe?.join() !== this.authorsFilter().authors?.join()) {
+          // membership changed during the initial sync
+          this.resubscribeUpdates()
         }
       })
-    } catch (e) {
-      console.error(e)
+      this.connected = true
+      this.failedConnects = 0
+      this.emit('status', [{ status: 'connected' }])
+    } catch (error) {
+      this.reportError(error)
+      this.settleWhenSynced(error)
+      // drops what this attempt set up, the next connect() starts over
+      this.disconnect()
+      this.emit('status', [{ status: 'error', error }])
+      this.scheduleReconnect()
+    }
+  }
+
+  failedConnects = 0
+  reconnectTimer
+
+  /**
+  * Tries connect() again with the outbox's backoff, or as soon as a relay of the pool connects
+  */
+  scheduleReconnect () {
+    const delay = Math.min(this.retryDelay * 2 ** this.failedConnects, this.maxRetryDelay)
+    this.failedConnects++
+    this.reconnectTimer = setTimeout(this.reconnect, delay)
+    // relayStatusChanged reconnects on the first relay that comes up
+    this.relayHealth.start()
+  }
+
+  reconnect = () => {
+    this.clearReconnect()
+    this.connect().catch(this.reportError)
+  }
+
+  clearReconnect () {
+    if (this.reconnectTimer !== undefined) {
+      clearTimeout(this.reconnectTimer)
+      this.reconnectTimer = undefined
+      this.relayHealth.stop()
+    }
+  }
+
+  /**
+  * Publishes pending updates, then stops listening to the room. Local edits made while
+  * disconnected are published by the initial sync of the next connect()
+  */
+  disconnect () {
+    this.clearReconnect()
+    if (!this.shouldConnect) {
+      return
+    }
+    this.flush().catch(this.reportError)
+    this.outbox.pause()
+    this.shouldConnect = false
+    if (this.checkpointTimer) {
+      clearInterval(this.checkpointTimer)
+      this.checkpointTimer = undefined
+    }
+    if (this.awarenessSub !== undefined && this.awareness.getLocalState() !== null) {
+      // announce we are gone without dropping our local state, so it survives a reconnect
+      this.publishAwareness([this.awareness.clientID], new Map()).catch(this.reportError)
+    }
+    removeAwarenessStates(
+      this.awareness,
+      Array.from(this.awareness.getStates().keys()).filter(client => client !== this.awareness.clientID),
+      this
+    )
+    this.stopSyncHandshake()
+    Array.from(this.subdocProviders.keys()).forEach(guid => this.closeSubdoc(guid))
+    this.membershipSubs.forEach(sub => sub.stop())
+    this.membershipSubs = []
+    this.awarenessSub?.stop()
+    this.awarenessSub = undefined
+    this.updateSub?.stop()
+    this.updateSub = undefined
+    this.relayHealth.stop()
+    this.relayStates.clear()
+    this.synced = false
+    if (!this.whenSyncedSettled) {
+      this.settleWhenSynced(new Error('disconnected before the initial sync'))
+    }
+    this.armWhenSynced()
+    if (this.connected) {
+      this.connected = false
+      this.emit('status', [{ status: 'disconnected' }])
+    }
+  }
+
+  destroy () {
+    this.disconnect()
+    this.ydoc.off('update', this.documentUpdateHandler)
+    this.ydoc.off('subdocs', this.subdocsHandler)
+    this.awareness.off('update', this.awarenessUpdateListener)
+    // disconnect() told peers we left
+    if (this.ownsAwareness) {
+      this.awareness.destroy()
+    } else {
+      removeAwarenessStates(this.awareness, [this.awareness.clientID], this)
+    }
+    this.chunks.destroy()
+    this.syncChunks.destroy()
+    this.outbox.destroy()
+    if (this.roomManager === undefined && isNode) {
+      process.off('exit', this.exitHandler)
+    } else if (this.roomManager === undefined && typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this.pagehideHandler)
+      window.removeEventListener('pageshow', this.pageshowHandler)
     }
+    super.destroy()
   }
 }
@@ -0,0 +1,59 @@
+import { generateSecretKey } from 'nostr-tools'
+import { WebSocket } from 'ws'
+import * as yjs from 'yjs'
+import NDK, {
+  NDKPrivateKeySigner
+} from '@nostr-dev-kit/ndk'
+import {
+  NostrProvider,
+  createNostrCRDTRoom
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+
+global.WebSocket = WebSocket
+export const TEST_NOSTR_RELAYS = ['ws://0.0.0.0:4444']
+
+export const connectedNdk = async (secretNostrKey = generateSecretKey()) => {
+  const ndk = new NDK({
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    signer: new NDKPrivateKeySigner(secretNostrKey)
+  })
+  await ndk.connect()
+  return ndk
+}
+
+/**
+* Publishes a room from its own ndk, signed with secretNostrKey or a fresh key, resolves with the room id
+*/
+export const createRoom = async ({ secretNostrKey, ...options } = {}) => {
+  const { id } = await createNostrCRDTRoom({
+    ndk: await connectedNdk(secretNostrKey),
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    secretNostrKey,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    ...options
+  })
+  return id
+}
+
+/**
+* A provider on an ndk of its own, signing with options.secretNostrKey or a fresh key. Resolves once it synced
+*/
+export const connectedProvider = async (nostrRoomCreateEventId, options = {}) => {
+  const provider = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId,
+    ndk: await connectedNdk(options.secretNostrKey),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    ...options
+  })
+  provider.connect()
+  await provider.whenSynced
+  return provider
+}
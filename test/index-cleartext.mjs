@@ -2,6 +2,25 @@ import { runTests } from 'lib0/testing'
 import * as log from 'lib0/logging'
 import * as yndkCreateNostrRoom from './y-ndk-create-nostr-room.test.mjs'
 import * as yndkSyncMapClearText from './y-ndk-syncmap-cleartext.test.mjs'
+import * as yndkAwareness from './y-ndk-awareness.test.mjs'
+import * as yndkCheckpoint from './y-ndk-checkpoint.test.mjs'
+import * as yndkLifecycle from './y-ndk-lifecycle.test.mjs'
+import * as yndkMembership from './y-ndk-membership.test.mjs'
+import * as yndkRejectedEvents from './y-ndk-rejected-events.test.mjs'
+import * as yndkChunks from './y-ndk-chunks.test.mjs'
+import * as yndkCompression from './y-ndk-compression.test.mjs'
+import * as yndkPublish from './y-ndk-publish.test.mjs'
+import * as yndkOutbox from './y-ndk-outbox.test.mjs'
+import * as yndkRooms from './y-ndk-rooms.test.mjs'
+import * as yndkBackfill from './y-ndk-backfill.test.mjs'
+import * as yndkRelayHealth from './y-ndk-relay-health.test.mjs'
+import * as yndkDedup from './y-ndk-dedup.test.mjs'
+import * as yndkHistory from './y-ndk-history.test.mjs'
+import * as yndkBatching from './y-ndk-batching.test.mjs'
+import * as yndkOrigins from './y-ndk-origins.test.mjs'
+import * as yndkRoomManager from './y-ndk-room-manager.test.mjs'
+import * as yndkSubdocs from './y-ndk-subdocs.test.mjs'
+import * as yndkValidation from './y-ndk-validation.test.mjs'
 import { isBrowser, isNode } from 'lib0/environment.js'
 
 if (isBrowser) {
@@ -11,7 +30,26 @@ if (isBrowser) {
 
 runTests({
   yndkCreateNostrRoom,
-  yndkSyncMapClearText
+  yndkSyncMapClearText,
+  yndkAwareness,
+  yndkCheckpoint,
+  yndkLifecycle,
+  yndkMembership,
+  yndkRejectedEvents,
+  yndkChunks,
+  yndkCompression,
+  yndkPublish,
+  yndkOutbox,
+  yndkRooms,
+  yndkBackfill,
+  yndkRelayHealth,
+  yndkDedup,
+  yndkHistory,
+  yndkBatching,
+  yndkOrigins,
+  yndkRoomManager,
+  yndkSubdocs,
+  yndkValidation
 }).then(success => {
   if (isNode) {
     process.exit(success ? 0 : 1)
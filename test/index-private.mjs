@@ -1,6 +1,11 @@
 import { runTests } from 'lib0/testing'
 import * as log from 'lib0/logging'
 import * as yndkSyncMapEncrypted from './y-ndk-syncmap-encrypted.test.mjs'
+import * as yndkNip44 from './y-ndk-nip44.test.mjs'
+import * as yndkInvites from './y-ndk-invites.test.mjs'
+import * as yndkEpochs from './y-ndk-epochs.test.mjs'
+import * as yndkEnvelope from './y-ndk-envelope.test.mjs'
+import * as yndkSyncHandshake from './y-ndk-sync-handshake.test.mjs'
 import { isBrowser, isNode } from 'lib0/environment.js'
 
 if (isBrowser) {
@@ -9,7 +14,12 @@ if (isBrowser) {
 }
 
 runTests({
-  yndkSyncMapEncrypted
+  yndkSyncMapEncrypted,
+  yndkNip44,
+  yndkInvites,
+  yndkEpochs,
+  yndkEnvelope,
+  yndkSyncHandshake
 }).then(success => {
   if (isNode) {
     process.exit(success ? 0 : 1)
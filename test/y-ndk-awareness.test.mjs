@@ -0,0 +1,69 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import { Awareness } from 'y-protocols/awareness'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testAwareness = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const aliceClientID = nostrProviderAlice.ydoc.clientID
+
+  nostrProviderAlice.awareness.setLocalStateField('user', { name: 'alice' })
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  const aliceSeenByBob = nostrProviderBob.awareness.getStates().get(aliceClientID)
+  testing.compare(aliceSeenByBob, { user: { name: 'alice' } }, 'bob sees alice')
+
+  nostrProviderAlice.awareness.setLocalState(null)
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(!nostrProviderBob.awareness.getStates().has(aliceClientID), 'alice left')
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testAwarenessLifecycle = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const aliceClientID = nostrProviderAlice.ydoc.clientID
+  nostrProviderAlice.awareness.setLocalStateField('user', { name: 'alice' })
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  // the page goes into the back/forward cache and comes back
+  nostrProviderAlice.pagehideHandler()
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(!nostrProviderBob.awareness.getStates().has(aliceClientID), 'alice left with the page')
+  nostrProviderAlice.pageshowHandler({ persisted: true })
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.awareness.getStates().get(aliceClientID), { user: { name: 'alice' } }, 'alice is back')
+
+  const awareness = nostrProviderAlice.awareness
+  let destroyed = false
+  awareness.on('destroy', () => {
+    destroyed = true
+  })
+  nostrProviderAlice.destroy()
+  testing.compare(awareness.getLocalState(), null, 'destroy clears the local state')
+  testing.assert(destroyed, 'the awareness the provider created is destroyed')
+
+  // an awareness the app passed in outlives the provider
+  const shared = new Awareness(new yjs.Doc())
+  const nostrProviderCarol = await connectedProvider(nostrRoomId, { awareness: shared })
+  let sharedDestroyed = false
+  shared.on('destroy', () => {
+    sharedDestroyed = true
+  })
+  shared.setLocalStateField('user', { name: 'carol' })
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.awareness.getStates().get(shared.clientID), { user: { name: 'carol' } }, 'bob sees carol')
+  nostrProviderCarol.destroy()
+  testing.compare(shared.getLocalState(), null)
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(!nostrProviderBob.awareness.getStates().has(shared.clientID), 'carol left')
+  testing.assert(!sharedDestroyed)
+  shared.destroy()
+  nostrProviderBob.destroy()
+}
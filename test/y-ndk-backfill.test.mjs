@@ -0,0 +1,53 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  NostrProvider
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const EDITS = 12
+
+export const testPaginatedBackfill = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  // one event per edit, spread over several seconds
+  for (let i = 0; i < EDITS; i++) {
+    nostrProviderAlice.ydoc.getMap('test').set(`edit-${i}`, i)
+    await new Promise((resolve) => setTimeout(resolve, 250))
+  }
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  const nostrProviderBob = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrRoomId,
+    ndk: await connectedNdk(),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    backfillPageSize: 5
+  })
+  const progress = []
+  nostrProviderBob.on('backfill-progress', (report) => progress.push(report))
+  let completeWhenSynced
+  nostrProviderBob.on('synced', () => {
+    completeWhenSynced = progress.at(-1)?.complete
+  })
+  nostrProviderBob.connect()
+  await nostrProviderBob.whenSynced
+
+  testing.assert(Object.keys(nostrProviderBob.ydoc.getMap('test').toJSON()).length === EDITS, 'bob has the whole history')
+  testing.assert(progress.filter(report => !report.complete).length >= 3, 'history arrived in pages')
+  testing.assert(progress.at(-1).fetched >= EDITS, 'every update event was fetched')
+  testing.assert(completeWhenSynced === true, 'synced only after the backfill completed')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
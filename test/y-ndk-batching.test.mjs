@@ -0,0 +1,67 @@
+import * as testing from 'lib0/testing'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const countPublishedUpdates = (provider) => {
+  const published = []
+  const publishUpdate = provider.publishUpdate.bind(provider)
+  provider.publishUpdate = (update, relayUrls) => {
+    published.push(update)
+    return publishUpdate(update, relayUrls)
+  }
+  return published
+}
+
+export const testBatchMaxWait = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, { batchDelay: 200, batchMaxWait: 400 })
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const published = countPublishedUpdates(nostrProviderAlice)
+
+  // a keystroke every 50ms never pauses for the batch delay
+  const text = nostrProviderAlice.ydoc.getText('body')
+  for (let i = 0; i < 30; i++) {
+    text.insert(text.length, 'a')
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    if (i === 20) {
+      testing.assert(nostrProviderBob.ydoc.getText('body').length > 0, 'bob sees typing before it stops')
+    }
+  }
+  testing.assert(published.length >= 3, `published ${published.length} batches while typing`)
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderBob.ydoc.getText('body').toString(), 'a'.repeat(30))
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testBatchMaxBytesAndFlush = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, { batchDelay: 60 * 1000, batchMaxWait: 60 * 1000, batchMaxBytes: 1024 })
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const published = countPublishedUpdates(nostrProviderAlice)
+
+  nostrProviderAlice.ydoc.getMap('test').set('small', 'waits for the batch')
+  testing.compare(published.length, 0)
+  nostrProviderAlice.ydoc.getMap('test').set('large', 'x'.repeat(2048))
+  // the outbox stores an update before publishing it
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  testing.compare(published.length, 1, 'a full batch is published right away')
+
+  nostrProviderAlice.ydoc.getMap('test').set('flushed', true)
+  await nostrProviderAlice.flush()
+  testing.compare(published.length, 2, 'flush() publishes the batch')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(Object.keys(nostrProviderBob.ydoc.getMap('test').toJSON()).sort(), ['flushed', 'large', 'small'])
+
+  nostrProviderAlice.ydoc.getMap('test').set('destroyed', true)
+  nostrProviderAlice.destroy()
+  await new Promise((resolve) => setTimeout(resolve, 50))
+  testing.compare(published.length, 3, 'destroy() publishes the batch')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('destroyed'), true)
+
+  nostrProviderBob.destroy()
+}
@@ -0,0 +1,129 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import { toBase64 } from 'lib0/buffer'
+import {
+  NDKEvent
+} from '@nostr-dev-kit/ndk'
+import {
+  DEFAULT_CHECKPOINT_EVENT_KIND
+} from '../src/y-ndk.mjs'
+
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testCheckpoint = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  nostrProviderAlice.ydoc.getMap('test').set('contents', new yjs.Text('hello'))
+  await nostrProviderAlice.flush()
+  await nostrProviderAlice.checkpoint()
+
+  const checkpoint = await nostrProviderAlice.fetchLatestCheckpoint()
+  testing.assert(checkpoint !== undefined, 'checkpoint was published')
+
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const bobReceive = nostrProviderBob.ydoc.getMap('test').get('contents').toJSON()
+  testing.compare(bobReceive, 'hello', 'objects are equal')
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testChunkedCheckpoint = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, { chunkSize: 1000 })
+  const large = 'x'.repeat(5000)
+  nostrProviderAlice.ydoc.getMap('test').set('large', large)
+  await nostrProviderAlice.checkpoint()
+
+  const checkpoint = await nostrProviderAlice.fetchLatestCheckpoint()
+  testing.assert(checkpoint.event.tags.filter(tag => tag[0] === 'checkpoint-chunk').length > 1, 'the checkpoint points at its chunks')
+  const restored = new yjs.Doc()
+  yjs.applyUpdate(restored, checkpoint.update)
+  testing.compare(restored.getMap('test').get('large'), large)
+
+  nostrProviderAlice.destroy()
+}
+
+/**
+* Publishes the state of ydoc as an event of kind, created seconds ago
+*/
+const publishStateAt = async (ndk, kind, tags, ydoc, secondsAgo) => {
+  const event = new NDKEvent(ndk, {
+    kind,
+    tags,
+    content: toBase64(yjs.encodeStateAsUpdate(ydoc)),
+    created_at: Math.floor(Date.now() / 1000) - secondsAgo
+  })
+  await event.publish()
+}
+
+export const testCheckpointLackingOlderState = async tc => {
+  const nostrRoomId = await createRoom()
+  const roomTags = [['d', nostrRoomId], ['e', nostrRoomId]]
+  // alice edited long ago and left a checkpoint, bob's later checkpoint never got her edit
+  const ndkAlice = await connectedNdk()
+  const aliceYdoc = new yjs.Doc()
+  aliceYdoc.getMap('test').set('alice', 'long ago')
+  await publishStateAt(ndkAlice, YJS_UPDATE_EVENT_KIND, [['e', nostrRoomId]], aliceYdoc, 600)
+  await publishStateAt(ndkAlice, DEFAULT_CHECKPOINT_EVENT_KIND, roomTags, aliceYdoc, 300)
+  const bobYdoc = new yjs.Doc()
+  bobYdoc.getMap('test').set('bob', 'without alice')
+  await publishStateAt(await connectedNdk(), DEFAULT_CHECKPOINT_EVENT_KIND, roomTags, bobYdoc, 0)
+
+  const nostrProviderCarol = await connectedProvider(nostrRoomId)
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('alice'), 'long ago', 'the older checkpoint is used')
+
+  nostrProviderCarol.destroy()
+}
+
+export const testCheckpointFromTheFuture = async tc => {
+  const nostrRoomId = await createRoom()
+  // a checkpoint author whose clock is an hour ahead
+  const skewedYdoc = new yjs.Doc()
+  skewedYdoc.getMap('test').set('skewed', 'checkpoint')
+  await publishStateAt(await connectedNdk(), DEFAULT_CHECKPOINT_EVENT_KIND, [['d', nostrRoomId], ['e', nostrRoomId]], skewedYdoc, -60 * 60)
+  const aliceYdoc = new yjs.Doc()
+  aliceYdoc.getMap('test').set('alice', 'after it')
+  await publishStateAt(await connectedNdk(), YJS_UPDATE_EVENT_KIND, [['e', nostrRoomId]], aliceYdoc, 0)
+
+  const nostrProviderCarol = await connectedProvider(nostrRoomId)
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('alice'), 'after it', 'the future checkpoint does not hide later updates')
+
+  nostrProviderCarol.destroy()
+}
+
+export const testCheckpointCovers = async tc => {
+  const nostrRoomId = await createRoom()
+  const ndkAlice = await connectedNdk()
+  const aliceYdoc = new yjs.Doc()
+  aliceYdoc.getMap('test').set('alice', 'long ago')
+  await publishStateAt(ndkAlice, YJS_UPDATE_EVENT_KIND, [['e', nostrRoomId]], aliceYdoc, 600)
+  // bob's clock runs ahead, his checkpoint says it merged nothing newer than alice's update
+  const bobYdoc = new yjs.Doc()
+  yjs.applyUpdate(bobYdoc, yjs.encodeStateAsUpdate(aliceYdoc))
+  const coversTag = ['covers', String(Math.floor(Date.now() / 1000) - 600)]
+  await publishStateAt(await connectedNdk(), DEFAULT_CHECKPOINT_EVENT_KIND, [['d', nostrRoomId], ['e', nostrRoomId], coversTag], bobYdoc, -50)
+  // an update made before the checkpoint by alice's clock, that bob never saw
+  const lateYdoc = new yjs.Doc()
+  lateYdoc.getMap('test').set('late', 'but covered')
+  await publishStateAt(ndkAlice, YJS_UPDATE_EVENT_KIND, [['e', nostrRoomId]], lateYdoc, 30)
+
+  const nostrProviderCarol = await connectedProvider(nostrRoomId)
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').toJSON(), { alice: 'long ago', late: 'but covered' }, 'updates after what the checkpoint covers are replayed')
+
+  // a provider's checkpoint names the newest update it merged
+  nostrProviderCarol.ydoc.getMap('test').set('carol', 'too')
+  await nostrProviderCarol.flush()
+  await nostrProviderCarol.checkpoint()
+  const checkpoint = await nostrProviderCarol.fetchLatestCheckpoint()
+  testing.compare(checkpoint.event.tags.find(tag => tag[0] === 'covers')?.[1], String(nostrProviderCarol.newestUpdateAt))
+  testing.assert(nostrProviderCarol.newestUpdateAt >= Math.floor(Date.now() / 1000) - 5, 'carol\'s own update counts')
+
+  nostrProviderCarol.destroy()
+}
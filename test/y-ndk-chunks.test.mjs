@@ -0,0 +1,27 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testChunkedUpdates = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrCRDTCreateEventId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes })
+
+  const nostrProviderAlice = await connectedProvider(nostrCRDTCreateEventId, { secretNostrKey: aliceSecretNostrKeyBytes, chunkSize: 64 })
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId, { chunkSize: 64 })
+
+  const longText = 'all work and no play makes jack a dull boy. '.repeat(20)
+  nostrProviderAlice.ydoc.getMap('test').set('contents', new yjs.Text(longText))
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents').toJSON(), longText, 'live chunks are reassembled')
+
+  const nostrProviderCarol = await connectedProvider(nostrCRDTCreateEventId, { chunkSize: 64 })
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('contents').toJSON(), longText, 'stored chunks are reassembled')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderCarol.destroy()
+}
@@ -0,0 +1,83 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import { toBase64 } from 'lib0/buffer'
+import {
+  NDKEvent
+} from '@nostr-dev-kit/ndk'
+import {
+  REJECT_MALFORMED_CONTENT,
+  createNostrCRDTRoom,
+  deflateCodec,
+  gzipCodec
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testCompressedUpdates = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const ndkAlice = await connectedNdk(aliceSecretNostrKeyBytes)
+  const { id: nostrCRDTCreateEventId } = await createNostrCRDTRoom({
+    ndk: ndkAlice,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    compression: deflateCodec
+  })
+
+  const nostrProviderAlice = await connectedProvider(nostrCRDTCreateEventId, { secretNostrKey: aliceSecretNostrKeyBytes, compression: deflateCodec })
+  // bob does not compress, but reads compressed events
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+
+  const longText = 'all work and no play makes jack a dull boy. '.repeat(20)
+  nostrProviderAlice.ydoc.getMap('test').set('contents', new yjs.Text(longText))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents').toJSON(), longText, 'bob decompresses')
+
+  nostrProviderBob.ydoc.getMap('test').set('plain', 'legacy')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('plain'), 'legacy', 'untagged events are still read')
+
+  const events = await ndkAlice.fetchEvents({
+    kinds: [YJS_UPDATE_EVENT_KIND],
+    authors: [(await ndkAlice.signer.user()).pubkey],
+    '#e': [nostrCRDTCreateEventId]
+  })
+  const compressedEvent = Array.from(events).find(event => event.tagValue('content-encoding') === 'deflate')
+  testing.assert(compressedEvent !== undefined, 'compressed events are tagged')
+  testing.assert(compressedEvent.content.length < longText.length, 'content is smaller than the text')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testDecompressionLimit = async tc => {
+  const bomb = deflateCodec.compress(new Uint8Array(4 * 1024 * 1024))
+  testing.assert(bomb.length < 8 * 1024, 'a few kilobytes inflate to megabytes')
+  testing.compare(deflateCodec.decompress(bomb).length, 4 * 1024 * 1024)
+  testing.fails(() => deflateCodec.decompress(bomb, 1024 * 1024))
+  testing.fails(() => gzipCodec.decompress(gzipCodec.compress(new Uint8Array(4 * 1024 * 1024)), 1024 * 1024))
+
+  const nostrCRDTCreateEventId = await createRoom()
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId, { maxPayloadSize: 1024 * 1024 })
+  const rejected = []
+  nostrProviderBob.on('event-rejected', ({ reason }) => rejected.push(reason))
+  await new NDKEvent(await connectedNdk(), {
+    kind: YJS_UPDATE_EVENT_KIND,
+    tags: [['e', nostrCRDTCreateEventId], ['content-encoding', 'deflate']],
+    content: toBase64(bomb)
+  }).publish()
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(rejected, [REJECT_MALFORMED_CONTENT], 'oversize payloads are rejected')
+
+  nostrProviderBob.destroy()
+}
@@ -6,6 +6,7 @@ import NDK, {
   NDKPrivateKeySigner
 } from '@nostr-dev-kit/ndk'
 import {
+  RoomCreationError,
   createNostrCRDTRoom
 } from '../src/y-ndk.mjs'
 
@@ -28,7 +29,7 @@ export const testCreateNostrRoom = async tc => {
   const ydoc = new yjs.Doc()
   const initialLocalState = yjs.encodeStateAsUpdate(ydoc)
 
-  const nostrCRDTCreateEventId = await createNostrCRDTRoom({
+  const room = await createNostrCRDTRoom({
     ndk,
     label: 'crdtroom',
     initialLocalState,
@@ -36,6 +37,10 @@ export const testCreateNostrRoom = async tc => {
     secretNostrKey: testSecretNostrKeyBytes,
     explicitRelayUrls: TEST_NOSTR_RELAYS
   })
+  const nostrCRDTCreateEventId = room.id
+  testing.compare(room.label, 'crdtroom', 'the room has its label')
+  testing.compare(room.author, testPublicNostrKeyHex, 'the room has its author')
+  testing.compare(room.relays, ['ws://0.0.0.0:4444/'], 'the room lists the relays that stored it')
   // confirm the nostr relay "create room" event exists
   const roomEvent = await new Promise((resolve) => {
     const sub = ndk.subscribe({
@@ -50,3 +55,42 @@ export const testCreateNostrRoom = async tc => {
   })
   testing.compare(roomEvent.pubkey, testPublicNostrKeyHex, 'objects are equal')
 }
+
+export const testCreateNostrRoomConcurrently = async tc => {
+  const createRoom = async () => {
+    const secretNostrKey = generateSecretKey()
+    const ndk = new NDK({
+      explicitRelayUrls: TEST_NOSTR_RELAYS,
+      signer: new NDKPrivateKeySigner(secretNostrKey)
+    })
+    await ndk.connect()
+    return createNostrCRDTRoom({
+      ndk,
+      label: 'crdtroom',
+      initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+      YJS_UPDATE_EVENT_KIND,
+      explicitRelayUrls: TEST_NOSTR_RELAYS
+    })
+  }
+  const rooms = await Promise.all([createRoom(), createRoom(), createRoom()])
+  testing.compare(new Set(rooms.map(room => room.id)).size, 3, 'every creator gets its own room')
+  testing.compare(new Set(rooms.map(room => room.author)).size, 3, 'each room has its creator as author')
+}
+
+export const testCreateNostrRoomFails = async tc => {
+  const ndk = new NDK({
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    signer: new NDKPrivateKeySigner(generateSecretKey())
+  })
+  await ndk.connect()
+  const error = await createNostrCRDTRoom({
+    ndk,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: ['ws://0.0.0.0:4445'],
+    timeout: 500
+  }).then(() => undefined, error => error)
+  testing.assert(error instanceof RoomCreationError, 'rejects with a RoomCreationError')
+  testing.compare(error.receipts.map(receipt => receipt.ok), [false], 'the unreachable relay is reported')
+}
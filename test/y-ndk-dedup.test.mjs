@@ -0,0 +1,80 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testDuplicateEventsDecodedOnce = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  const decoded = []
+  const updateFromEvent = nostrProviderBob.updateFromEvent.bind(nostrProviderBob)
+  nostrProviderBob.updateFromEvent = (event) => {
+    decoded.push(event.id)
+    return updateFromEvent(event)
+  }
+
+  nostrProviderAlice.ydoc.getMap('test').set('alice', 'once')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('alice'), 'once')
+  testing.compare(decoded.length, 1)
+
+  // a new subscription, like after a membership change, delivers the room's events again
+  nostrProviderBob.resubscribeUpdates()
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.assert(decoded.length === 1, `decoded ${decoded.length} copies of one event`)
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testOutOfOrderUpdates = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  nostrProviderAlice.disconnect()
+
+  // two updates of one client, the second builds on the first
+  const doc = new yjs.Doc()
+  const updates = []
+  doc.on('update', update => updates.push(update))
+  doc.getMap('test').set('first', 1)
+  doc.getMap('test').set('second', 2)
+  // an independent update of another client
+  const other = new yjs.Doc()
+  other.getMap('test').set('other', 3)
+  updates.push(yjs.encodeStateAsUpdate(other))
+  const events = []
+  for (const update of updates) {
+    const { content, tags } = await nostrProviderAlice.encodeContent(update)
+    events.push(await nostrProviderAlice.signEvent({
+      kind: YJS_UPDATE_EVENT_KIND,
+      tags: [['e', nostrRoomId], ...tags],
+      content
+    }))
+  }
+
+  const reports = []
+  nostrProviderBob.on('pending-structs', report => reports.push(report))
+  await nostrProviderBob.processIncomingEvents([events[1]])
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), {}, 'the second update waits for the first')
+  testing.compare(reports.at(-1).pending, true)
+  testing.compare(reports.at(-1).missing.get(doc.clientID), 0, 'reports the missing clock')
+
+  // a gap of one client doesn't hold back the others
+  await nostrProviderBob.processIncomingEvents([events[2]])
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { other: 3 }, 'other clients are applied')
+  testing.compare(reports.at(-1).pending, true, 'the second update still waits')
+
+  await nostrProviderBob.processIncomingEvents([events[0]])
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { first: 1, second: 2, other: 3 }, 'the waiting update is applied')
+  testing.compare(reports.at(-1).pending, false)
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
@@ -0,0 +1,95 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import chloride from 'chloride'
+import box from 'private-box'
+import {
+  ENVELOPE_VERSION,
+  REJECT_UNSUPPORTED_CIPHER,
+  createNostrCRDTRoom,
+  decodeEnvelope,
+  encodeEnvelope,
+  generateRoomKey,
+  nip44RoomKeyCipher
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider
+} from './helpers.mjs'
+
+// registered by the app, the library ships no private-box adapter
+const privateBoxCipher = ({ keypair, recipients }) => ({
+  id: 'private-box',
+  encrypt: (payload) => box.encrypt(Buffer.from(payload), recipients.map(recipient => recipient.publicKey)),
+  decrypt: (payload) => box.decrypt(Buffer.from(payload), keypair.secretKey)
+})
+
+export const testEnvelopeRoundTrip = async tc => {
+  const envelope = {
+    cipher: 'test-cipher',
+    epoch: 3,
+    nonce: new Uint8Array([1, 2, 3]),
+    payload: new Uint8Array([4, 5, 6])
+  }
+  const content = encodeEnvelope(envelope)
+  testing.compare(decodeEnvelope(content), { version: ENVELOPE_VERSION, ...envelope }, 'envelopes round trip')
+  testing.compare(decodeEnvelope('aGVsbG8='), undefined, 'legacy base64 contents have no envelope')
+  testing.fails(() => decodeEnvelope('env:' + Buffer.from([99]).toString('base64')))
+}
+
+export const testMixedCipherRoom = async tc => {
+  const roomKey = generateRoomKey()
+  const alice = chloride.crypto_box_keypair()
+  const bob = chloride.crypto_box_keypair()
+
+  const ndkAlice = await connectedNdk()
+  const { id: nostrRoomId } = await createNostrCRDTRoom({
+    ndk: ndkAlice,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    cipher: nip44RoomKeyCipher(roomKey)
+  })
+
+  // alice writes with the room key, bob with private-box, each registers the other's cipher
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, {
+    cipher: nip44RoomKeyCipher(roomKey),
+    ciphers: [privateBoxCipher({ keypair: alice, recipients: [alice, bob] })]
+  })
+  const nostrProviderBob = await connectedProvider(nostrRoomId, {
+    cipher: privateBoxCipher({ keypair: bob, recipients: [alice, bob] }),
+    ciphers: [nip44RoomKeyCipher(roomKey)]
+  })
+  // carol still uses plain encrypt/decrypt hooks, which write no envelope
+  const nostrProviderCarol = await connectedProvider(nostrRoomId, {
+    encrypt: nip44RoomKeyCipher(roomKey).encrypt,
+    decrypt: nip44RoomKeyCipher(roomKey).decrypt
+  })
+  const carolRejections = []
+  nostrProviderCarol.on('event-rejected', ({ reason }) => carolRejections.push(reason))
+
+  nostrProviderAlice.ydoc.getMap('test').set('alice', 'room key')
+  nostrProviderBob.ydoc.getMap('test').set('bob', 'private-box')
+  nostrProviderCarol.ydoc.getMap('test').set('carol', 'legacy')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+
+  const everything = { alice: 'room key', bob: 'private-box', carol: 'legacy' }
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').toJSON(), everything, 'alice reads enveloped and legacy contents')
+  // legacy contents name no cipher, they are only readable with the epoch's own cipher
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('alice'), 'room key', 'bob reads the registered cipher')
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('bob'), undefined, 'carol has no private-box cipher')
+  testing.assert(carolRejections.includes(REJECT_UNSUPPORTED_CIPHER), 'carol reports the unknown cipher')
+
+  const events = await ndkAlice.fetchEvents({ kinds: [YJS_UPDATE_EVENT_KIND], '#e': [nostrRoomId] })
+  const ciphers = Array.from(events, event => decodeEnvelope(event.content)?.cipher)
+  testing.assert(ciphers.includes('private-box') && ciphers.includes('nip44-room-key'), 'envelopes name their cipher')
+  testing.assert(ciphers.includes(undefined), 'legacy events have no envelope')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderCarol.destroy()
+}
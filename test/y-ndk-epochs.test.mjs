@@ -0,0 +1,92 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import {
+  REJECT_UNKNOWN_EPOCH,
+  generateRoomKey,
+  nip44RoomKeyCipher
+} from '../src/y-ndk.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testKeyRotation = async tc => {
+  const firstKey = nip44RoomKeyCipher(generateRoomKey())
+  const secondKey = nip44RoomKeyCipher(generateRoomKey())
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrRoomId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes, encrypt: firstKey.encrypt })
+
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, { secretNostrKey: aliceSecretNostrKeyBytes, ...firstKey })
+  const nostrProviderBob = await connectedProvider(nostrRoomId, firstKey)
+  const nostrProviderCarol = await connectedProvider(nostrRoomId, firstKey)
+
+  nostrProviderAlice.ydoc.getMap('test').set('before', 'everyone reads this')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('before'), 'everyone reads this', 'carol reads the first epoch')
+
+  // carol is removed: alice rotates and only hands the new key to bob
+  const epoch = nostrProviderAlice.rotateKey(secondKey.encrypt, secondKey.decrypt)
+  testing.compare(epoch, 1, 'rotation starts epoch 1')
+  nostrProviderBob.addEpochKey(epoch, secondKey.decrypt, secondKey.encrypt)
+  const carolRejections = []
+  nostrProviderCarol.on('event-rejected', ({ reason }) => carolRejections.push(reason))
+
+  nostrProviderAlice.ydoc.getMap('test').set('after', 'carol does not read this')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('after'), 'carol does not read this', 'bob reads the new epoch')
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('after'), undefined, 'carol lost access')
+  testing.assert(carolRejections.includes(REJECT_UNKNOWN_EPOCH), 'carol sees events of an unknown epoch')
+
+  nostrProviderBob.ydoc.getMap('test').set('bob', 'also in the new epoch')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('bob'), 'also in the new epoch', 'bob publishes in the new epoch')
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('bob'), undefined, 'carol can not read bob either')
+
+  // the full keyring reads the whole history
+  const nostrProviderDave = await connectedProvider(nostrRoomId, {
+    ...secondKey,
+    epoch,
+    keyring: [[0, firstKey.decrypt]]
+  })
+  testing.compare(nostrProviderDave.ydoc.getMap('test').toJSON(), nostrProviderAlice.ydoc.getMap('test').toJSON(), 'dave reads every epoch')
+  nostrProviderDave.retireEpochs(epoch)
+  testing.compare(Array.from(nostrProviderDave.keyring.keys()), [epoch], 'retired keys are forgotten')
+
+  // the checkpoint under the new key covers the first epoch
+  const nostrProviderEve = await connectedProvider(nostrRoomId, { ...secondKey, epoch })
+  testing.compare(nostrProviderEve.ydoc.getMap('test').get('before'), 'everyone reads this', 'eve reads the first epoch from the checkpoint')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderCarol.destroy()
+  nostrProviderDave.destroy()
+  nostrProviderEve.destroy()
+}
+
+export const testLateEpochKey = async tc => {
+  const firstKey = nip44RoomKeyCipher(generateRoomKey())
+  const secondKey = nip44RoomKeyCipher(generateRoomKey())
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrRoomId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes, encrypt: firstKey.encrypt })
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, { secretNostrKey: aliceSecretNostrKeyBytes, chunkSize: 500, ...firstKey })
+  const nostrProviderBob = await connectedProvider(nostrRoomId, firstKey)
+
+  const epoch = nostrProviderAlice.rotateKey(secondKey.encrypt, secondKey.decrypt)
+  nostrProviderAlice.ydoc.getMap('test').set('contents', 'sent before bob got the key')
+  // chunked, the other chunks of the group were seen already
+  const large = 'x'.repeat(2000)
+  nostrProviderAlice.ydoc.getMap('test').set('large', large)
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), undefined, 'bob waits for the key')
+
+  let resubscribed = 0
+  nostrProviderBob.resubscribeUpdates = () => resubscribed++
+  nostrProviderBob.addEpochKey(epoch, secondKey.decrypt, secondKey.encrypt)
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'sent before bob got the key', 'bob fetches the updates again with the new key')
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('large'), large)
+  testing.compare(resubscribed, 0, 'only the rejected updates are fetched again')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
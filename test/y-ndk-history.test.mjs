@@ -0,0 +1,48 @@
+import * as testing from 'lib0/testing'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+// history is ordered by created_at, which has a resolution of one second
+const nextSecond = () => new Promise((resolve) => setTimeout(resolve, 1100))
+
+export const testHistoryAndRestore = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+
+  nostrProviderAlice.ydoc.getMap('test').set('title', 'first')
+  nostrProviderAlice.ydoc.getText('body').insert(0, 'hello')
+  await nextSecond()
+  nostrProviderBob.ydoc.getMap('test').set('title', 'second')
+  nostrProviderBob.ydoc.getText('body').delete(0, 5)
+  nostrProviderBob.ydoc.getText('body').insert(0, 'bye')
+  await nextSecond()
+
+  const history = await nostrProviderAlice.getHistory()
+  testing.compare(history.length, 2)
+  testing.compare(history.map(entry => entry.author), [nostrProviderAlice.pubkey, nostrProviderBob.pubkey])
+  testing.assert(history[0].createdAt < history[1].createdAt, 'oldest first')
+  testing.assert(history.every(entry => entry.size === entry.update.length && entry.size > 0), 'sizes are reported')
+
+  const first = await nostrProviderAlice.docAt(history[0].id)
+  testing.compare(first.getMap('test').toJSON(), { title: 'first' })
+  testing.compare(first.getText('body').toString(), 'hello')
+  const atTimestamp = await nostrProviderAlice.docAt(history[0].createdAt)
+  testing.compare(atTimestamp.getText('body').toString(), 'hello', 'timestamps pick the same version')
+  testing.compare((await nostrProviderAlice.docAt(history[0].createdAt - 1)).getMap('test').toJSON(), {}, 'nothing before the first update')
+  await testing.failsAsync(() => nostrProviderAlice.docAt('not an event id'))
+
+  await nostrProviderAlice.restore(history[0].id)
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').toJSON(), { title: 'first' })
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { title: 'first' }, 'the revert reached bob')
+  testing.compare(nostrProviderBob.ydoc.getText('body').toString(), 'hello', 'deleted text came back')
+  const afterRestore = await nostrProviderBob.getHistory()
+  testing.compare(afterRestore.length, 3, 'the revert is a new update')
+  testing.compare(afterRestore[2].author, nostrProviderAlice.pubkey)
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
@@ -0,0 +1,96 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import { toHexString } from 'lib0/buffer'
+import {
+  NostrProvider,
+  createNostrCRDTRoom,
+  decodeRoomInvite,
+  encodeRoomInvite,
+  generateRoomKey,
+  nip44RoomKeyCipher
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk
+} from './helpers.mjs'
+
+export const testRoomInviteRoundTrip = async tc => {
+  const room = {
+    id: toHexString(generateSecretKey()),
+    author: toHexString(generateSecretKey()),
+    kind: YJS_UPDATE_EVENT_KIND,
+    relays: ['wss://relay.example.com/']
+  }
+  const roomKey = generateRoomKey()
+  const invite = encodeRoomInvite(room, { key: roomKey, readOnly: true })
+  testing.assert(invite.startsWith('nostr:nevent1'), 'invites are nostr uris')
+  testing.compare(decodeRoomInvite(invite), {
+    id: room.id,
+    relays: room.relays,
+    author: room.author,
+    kind: YJS_UPDATE_EVENT_KIND,
+    key: toHexString(roomKey),
+    readOnly: true
+  }, 'invites round trip')
+
+  const open = decodeRoomInvite(encodeRoomInvite(room).replace('nostr:', ''))
+  testing.compare(open.key, undefined, 'invites without a key')
+  testing.compare(open.readOnly, false, 'invites are writable by default')
+  testing.fails(() => decodeRoomInvite('npub180cvv07tjdrrgpa0j7j7tmnyl2yr6yr7l8j4s3evf6u64th6gkwsyjh6w6'))
+}
+
+export const testProviderFromInvite = async tc => {
+  const roomKey = generateRoomKey()
+  const ndkAlice = await connectedNdk()
+  const room = await createNostrCRDTRoom({
+    ndk: ndkAlice,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    encrypt: nip44RoomKeyCipher(roomKey).encrypt
+  })
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    ndk: ndkAlice,
+    invite: encodeRoomInvite(room, { key: roomKey })
+  })
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+  nostrProviderAlice.ydoc.getMap('test').set('contents', 'hello from alice')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  // bob only gets the invite string
+  const nostrProviderBob = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    ndk: await connectedNdk(),
+    invite: encodeRoomInvite(room, { key: roomKey })
+  })
+  nostrProviderBob.connect()
+  await nostrProviderBob.whenSynced
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'hello from alice', 'bob joins from the invite')
+
+  const nostrProviderCarol = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    ndk: await connectedNdk(),
+    invite: decodeRoomInvite(encodeRoomInvite(room, { key: roomKey, readOnly: true }))
+  })
+  nostrProviderCarol.connect()
+  await nostrProviderCarol.whenSynced
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('contents'), 'hello from alice', 'carol reads the room')
+  nostrProviderCarol.ydoc.getMap('test').set('contents', 'carol was here')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderCarol.pendingCount, 0, 'read-only invites keep edits local')
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('contents'), 'hello from alice', 'alice does not see carol\'s edit')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderCarol.destroy()
+}
@@ -0,0 +1,65 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  NostrProvider
+} from '../src/y-ndk.mjs'
+
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testConnectDisconnectDestroy = async tc => {
+  const nostrCRDTCreateEventId = await createRoom()
+  const aliceYdoc = new yjs.Doc()
+  const nostrProviderAlice = new NostrProvider(
+    {
+      yjs,
+      ydoc: aliceYdoc,
+      nostrRoomCreateEventId: nostrCRDTCreateEventId,
+      ndk: await connectedNdk(),
+      YJS_UPDATE_EVENT_KIND,
+      explicitRelayUrls: TEST_NOSTR_RELAYS
+    }
+  )
+  const aliceStatus = []
+  nostrProviderAlice.on('status', ({ status }) => aliceStatus.push(status))
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+  testing.assert(nostrProviderAlice.synced, 'alice is synced')
+
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+  const bobYdoc = nostrProviderBob.ydoc
+
+  nostrProviderAlice.disconnect()
+  testing.compare(aliceStatus, ['connected', 'disconnected'], 'status events')
+  testing.assert(!nostrProviderAlice.synced, 'alice is no longer synced')
+
+  await bobYdoc.getMap('test').set('contents', new yjs.Text('while alice was away'))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(aliceYdoc.getMap('test').get('contents') === undefined, 'disconnected provider ignores the room')
+
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+  testing.compare(aliceYdoc.getMap('test').get('contents').toJSON(), 'while alice was away', 'reconnect catches up')
+
+  // disconnecting before the sync ends rejects its whenSynced
+  nostrProviderAlice.disconnect()
+  nostrProviderAlice.connect()
+  const whenSynced = nostrProviderAlice.whenSynced
+  nostrProviderAlice.disconnect()
+  await testing.failsAsync(() => whenSynced)
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+
+  nostrProviderAlice.destroy()
+  await aliceYdoc.getMap('test').set('contents', new yjs.Text('after destroy'))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(bobYdoc.getMap('test').get('contents').toJSON(), 'while alice was away', 'destroyed provider does not publish')
+  nostrProviderBob.destroy()
+}
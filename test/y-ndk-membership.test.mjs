@@ -0,0 +1,119 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey, getPublicKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import { toBase64, toHexString } from 'lib0/buffer'
+import {
+  NDKEvent
+} from '@nostr-dev-kit/ndk'
+import {
+  NostrProvider
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testMembership = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const bobSecretNostrKeyBytes = generateSecretKey()
+  const bobPublicNostrKeyHex = getPublicKey(bobSecretNostrKeyBytes)
+  const mallorySecretNostrKeyBytes = generateSecretKey()
+  const malloryPublicNostrKeyHex = getPublicKey(mallorySecretNostrKeyBytes)
+
+  const nostrCRDTCreateEventId = await createRoom({
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    members: [bobPublicNostrKeyHex]
+  })
+
+  const nostrProviderAlice = await connectedProvider(nostrCRDTCreateEventId, { secretNostrKey: aliceSecretNostrKeyBytes })
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId, { secretNostrKey: bobSecretNostrKeyBytes })
+
+  // mallory skips the provider, which would not publish for a non-member
+  const ndkMallory = await connectedNdk(mallorySecretNostrKeyBytes)
+  const malloryYdoc = new yjs.Doc()
+  malloryYdoc.getMap('test').set('mallory', 'was here')
+  await new NDKEvent(ndkMallory, {
+    kind: YJS_UPDATE_EVENT_KIND,
+    tags: [['e', nostrCRDTCreateEventId]],
+    content: toBase64(yjs.encodeStateAsUpdate(malloryYdoc))
+  }).publish()
+
+  nostrProviderBob.ydoc.getMap('test').set('bob', 'was here')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('bob'), 'was here', 'members can write')
+  testing.assert(nostrProviderAlice.ydoc.getMap('test').get('mallory') === undefined, 'non-members are ignored')
+
+  nostrProviderAlice.addMembers([malloryPublicNostrKeyHex], { readOnly: true })
+  nostrProviderAlice.removeMembers([bobPublicNostrKeyHex])
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(!nostrProviderBob.isWriter(bobPublicNostrKeyHex), 'bob follows the membership update')
+  testing.assert(nostrProviderBob.isMember(malloryPublicNostrKeyHex), 'mallory is a reader now')
+  testing.assert(!nostrProviderBob.isWriter(malloryPublicNostrKeyHex), 'readers cannot write')
+
+  nostrProviderBob.ydoc.getMap('test').set('bob', 'was removed')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('bob'), 'was here', 'removed members are ignored')
+
+  // bob skips the provider too, his update is newer than his removal
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  const ndkBob = await connectedNdk(bobSecretNostrKeyBytes)
+  const bobYdoc = new yjs.Doc()
+  bobYdoc.getMap('test').set('bob', 'is back')
+  await new NDKEvent(ndkBob, {
+    kind: YJS_UPDATE_EVENT_KIND,
+    tags: [['e', nostrCRDTCreateEventId]],
+    content: toBase64(yjs.encodeStateAsUpdate(bobYdoc))
+  }).publish()
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('bob'), 'was here', 'removed members cannot write anymore')
+
+  // nor by dating a new update before the removal
+  const backdatedYdoc = new yjs.Doc()
+  backdatedYdoc.getMap('test').set('backdated', 'by bob')
+  await new NDKEvent(ndkBob, {
+    kind: YJS_UPDATE_EVENT_KIND,
+    created_at: Math.floor(Date.now() / 1000) - 60 * 60,
+    tags: [['e', nostrCRDTCreateEventId]],
+    content: toBase64(yjs.encodeStateAsUpdate(backdatedYdoc))
+  }).publish()
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(nostrProviderAlice.ydoc.getMap('test').get('backdated') === undefined, 'backdated updates are ignored')
+
+  // updates from before the removal still count for members that sync later
+  const nostrProviderMallory = await connectedProvider(nostrCRDTCreateEventId, { secretNostrKey: mallorySecretNostrKeyBytes })
+  testing.compare(nostrProviderMallory.ydoc.getMap('test').toJSON(), { bob: 'was here' })
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderMallory.destroy()
+}
+
+export const testUnknownRoom = async tc => {
+  // without the room event nobody knows who may write, the provider doesn't treat the room as open
+  const provider = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: toHexString(generateSecretKey()),
+    ndk: await connectedNdk(),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS
+  })
+  const statuses = []
+  provider.on('status', ({ status, error }) => statuses.push({ status, error }))
+  const whenSynced = provider.whenSynced
+  await provider.connect()
+  await testing.failsAsync(() => whenSynced)
+  testing.assert(provider.updateSub === undefined, 'no subscription to the unknown room')
+  testing.assert(!provider.synced)
+  testing.compare(statuses.map(({ status }) => status), ['error'])
+  testing.assert(statuses[0].error instanceof Error)
+  // a failed connect can be retried
+  await provider.connect()
+  testing.compare(statuses.map(({ status }) => status), ['error', 'error'])
+  provider.destroy()
+}
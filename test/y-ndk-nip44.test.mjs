@@ -0,0 +1,71 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey, getPublicKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import {
+  NDKPrivateKeySigner
+} from '@nostr-dev-kit/ndk'
+import {
+  generateRoomKey,
+  nip44RoomKeyCipher,
+  nip44SignerCipher
+} from '../src/y-ndk.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+// the cipher is built from the provider's signer, like nip44SignerCipher needs
+const cipherProvider = (secretNostrKey, nostrRoomId, cipher) => {
+  const { encrypt, decrypt } = cipher(new NDKPrivateKeySigner(secretNostrKey))
+  return connectedProvider(nostrRoomId, { secretNostrKey, encrypt, decrypt })
+}
+
+export const testRoomKeyCipherLargePayload = async tc => {
+  const { encrypt, decrypt } = nip44RoomKeyCipher(generateRoomKey())
+  const payload = new Uint8Array(200000).map((_, i) => i % 251)
+  testing.compare(decrypt(encrypt(payload)), payload, 'payloads beyond the nip-44 limit round trip')
+}
+
+export const testSyncMapNip44RoomKey = async tc => {
+  const roomKey = generateRoomKey()
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrRoomId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes, encrypt: nip44RoomKeyCipher(roomKey).encrypt })
+
+  const nostrProviderAlice = await cipherProvider(aliceSecretNostrKeyBytes, nostrRoomId, () => nip44RoomKeyCipher(roomKey))
+  const nostrProviderBob = await cipherProvider(generateSecretKey(), nostrRoomId, () => nip44RoomKeyCipher(roomKey))
+  const nostrProviderEve = await cipherProvider(generateSecretKey(), nostrRoomId, () => nip44RoomKeyCipher(generateRoomKey()))
+
+  nostrProviderAlice.ydoc.getMap('test').set('contents', new yjs.Text('hello bob'))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents').toJSON(), 'hello bob', 'bob holds the room key')
+  testing.assert(nostrProviderEve.ydoc.getMap('test').get('contents') === undefined, 'eve has the wrong key')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderEve.destroy()
+}
+
+export const testSyncMapNip44Signer = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const bobSecretNostrKeyBytes = generateSecretKey()
+  const recipients = [getPublicKey(aliceSecretNostrKeyBytes), getPublicKey(bobSecretNostrKeyBytes)]
+  const aliceCipher = nip44SignerCipher({ signer: new NDKPrivateKeySigner(aliceSecretNostrKeyBytes), recipients })
+  const nostrRoomId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes, encrypt: aliceCipher.encrypt })
+
+  const nostrProviderAlice = await cipherProvider(aliceSecretNostrKeyBytes, nostrRoomId, signer => nip44SignerCipher({ signer, recipients }))
+  const nostrProviderBob = await cipherProvider(bobSecretNostrKeyBytes, nostrRoomId, signer => nip44SignerCipher({ signer, recipients }))
+  const nostrProviderEve = await cipherProvider(generateSecretKey(), nostrRoomId, signer => nip44SignerCipher({ signer, recipients }))
+
+  nostrProviderAlice.ydoc.getMap('test').set('contents', new yjs.Text('hello bob'))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents').toJSON(), 'hello bob', 'bob is a recipient')
+  testing.assert(nostrProviderEve.ydoc.getMap('test').get('contents') === undefined, 'eve is not a recipient')
+
+  nostrProviderBob.ydoc.getMap('test').set('contents', new yjs.Text('goodbye'))
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('contents').toJSON(), 'goodbye', 'alice always reads her own room')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderEve.destroy()
+}
@@ -0,0 +1,91 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const applyFrom = (ydoc, origin, key, value) => {
+  const scratch = new yjs.Doc()
+  scratch.getMap('test').set(key, value)
+  yjs.applyUpdate(ydoc, yjs.encodeStateAsUpdate(scratch), origin)
+}
+
+export const testOriginFiltering = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  // origins like a y-webrtc room and a y-indexeddb restore
+  const webrtc = { provider: { name: 'webrtc' } }
+  const indexeddb = { name: 'indexeddb' }
+
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  applyFrom(nostrProviderAlice.ydoc, webrtc, 'default', 'left to the other provider')
+  const nostrProviderBridge = await connectedProvider(nostrRoomId, {
+    allowOrigins: [webrtc],
+    denyOrigins: [indexeddb],
+    bridgeDelay: 100
+  })
+  applyFrom(nostrProviderBridge.ydoc, webrtc, 'bridged', 'from webrtc')
+  applyFrom(nostrProviderBridge.ydoc, indexeddb, 'denied', 'restored from indexeddb')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { bridged: 'from webrtc' })
+
+  nostrProviderAlice.destroy()
+  nostrProviderBridge.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testBridgeSkipsChangesOnTheWire = async tc => {
+  const nostrRoomId = await createRoom()
+  const bridgeEverything = { publishOrigin: () => true, bridgeDelay: 300 }
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, bridgeEverything)
+  const nostrProviderCarol = await connectedProvider(nostrRoomId, bridgeEverything)
+  const nostrProviderBob = await connectedProvider(nostrRoomId)
+  // alice and carol also share their documents over a local network
+  const lan = { provider: { name: 'lan' } }
+  nostrProviderAlice.ydoc.on('update', (update, origin) => {
+    if (origin !== lan) {
+      yjs.applyUpdate(nostrProviderCarol.ydoc, update, lan)
+    }
+  })
+  nostrProviderCarol.ydoc.on('update', (update, origin) => {
+    if (origin !== lan) {
+      yjs.applyUpdate(nostrProviderAlice.ydoc, update, lan)
+    }
+  })
+  const publishedByCarol = []
+  const publishUpdate = nostrProviderCarol.publishUpdate.bind(nostrProviderCarol)
+  nostrProviderCarol.publishUpdate = (update, relayUrls) => {
+    publishedByCarol.push(update)
+    return publishUpdate(update, relayUrls)
+  }
+
+  nostrProviderAlice.ydoc.getMap('test').set('alice', 'published by alice')
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').get('alice'), 'published by alice')
+  testing.compare(publishedByCarol.length, 0, 'carol doesn\'t publish what alice published')
+
+  // a peer only on the local network reaches nostr through the bridges
+  applyFrom(nostrProviderAlice.ydoc, lan, 'dave', 'only on the lan')
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { alice: 'published by alice', dave: 'only on the lan' })
+
+  // deletes carry no new structs, they are bridged all the same
+  const dave = new yjs.Doc()
+  yjs.applyUpdate(dave, yjs.encodeStateAsUpdate(nostrProviderAlice.ydoc))
+  dave.getMap('test').delete('dave')
+  yjs.applyUpdate(nostrProviderAlice.ydoc, yjs.encodeStateAsUpdate(dave, yjs.encodeStateVector(nostrProviderAlice.ydoc)), lan)
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), { alice: 'published by alice' })
+  const publishedCount = publishedByCarol.length
+
+  nostrProviderAlice.ydoc.getMap('test').delete('alice')
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), {})
+  testing.compare(publishedByCarol.length, publishedCount, 'carol doesn\'t publish deletes alice published')
+
+  nostrProviderAlice.destroy()
+  nostrProviderCarol.destroy()
+  nostrProviderBob.destroy()
+}
@@ -0,0 +1,215 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import NDK, {
+  NDKPrivateKeySigner
+} from '@nostr-dev-kit/ndk'
+import {
+  MemoryOutboxStore,
+  NostrProvider
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const UNREACHABLE_RELAYS = ['ws://0.0.0.0:4445']
+
+const drained = (provider, timeout = 10000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('outbox did not drain')), timeout)
+  provider.once('outbox-drained', () => {
+    clearTimeout(timer)
+    resolve()
+  })
+})
+
+export const testOutboxRetries = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrCRDTCreateEventId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes })
+  const nostrProviderAlice = await connectedProvider(nostrCRDTCreateEventId, {
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    explicitRelayUrls: UNREACHABLE_RELAYS,
+    publishTimeout: 500,
+    retryDelay: 200
+  })
+
+  nostrProviderAlice.ydoc.getMap('test').set('contents', 'offline edit')
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderAlice.pendingCount, 1, 'the update waits in the outbox')
+
+  // the relays come back
+  const whenDrained = drained(nostrProviderAlice)
+  nostrProviderAlice.explicitRelayUrls = TEST_NOSTR_RELAYS
+  await whenDrained
+  testing.compare(nostrProviderAlice.pendingCount, 0, 'the outbox is empty')
+
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'offline edit', 'the retried update reached the relay')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testOutboxRestoresStoredUpdates = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrCRDTCreateEventId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes })
+
+  // left over from a session that ended before the relays acknowledged it
+  const outboxStore = new MemoryOutboxStore()
+  const previousSession = new yjs.Doc()
+  previousSession.getMap('test').set('contents', 'unsent edit')
+  await outboxStore.put(nostrCRDTCreateEventId, 'previous', yjs.encodeStateAsUpdate(previousSession))
+
+  const ndkAlice = await connectedNdk(aliceSecretNostrKeyBytes)
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: ndkAlice,
+    YJS_UPDATE_EVENT_KIND,
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    outboxStore
+  })
+  const whenDrained = drained(nostrProviderAlice)
+  nostrProviderAlice.connect()
+  await whenDrained
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('contents'), 'unsent edit', 'the stored update is applied')
+  testing.compare((await outboxStore.getAll(nostrCRDTCreateEventId)).length, 0, 'the store is emptied')
+
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'unsent edit', 'the stored update reached the relay')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testOutboxRestoresWhileRelaysAreDown = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const nostrCRDTCreateEventId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes })
+
+  const outboxStore = new MemoryOutboxStore()
+  const previousSession = new yjs.Doc()
+  previousSession.getMap('test').set('contents', 'unsent edit')
+  await outboxStore.put(nostrCRDTCreateEventId, 'previous', yjs.encodeStateAsUpdate(previousSession))
+
+  // none of the relays answer yet
+  const ndkAlice = new NDK({
+    explicitRelayUrls: UNREACHABLE_RELAYS,
+    signer: new NDKPrivateKeySigner(aliceSecretNostrKeyBytes)
+  })
+  await ndkAlice.connect(500)
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: ndkAlice,
+    YJS_UPDATE_EVENT_KIND,
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    explicitRelayUrls: UNREACHABLE_RELAYS,
+    outboxStore
+  })
+  const statuses = []
+  nostrProviderAlice.on('status', ({ status }) => statuses.push(status))
+  const connecting = nostrProviderAlice.connect()
+  await new Promise((resolve) => setTimeout(resolve, 100))
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('contents'), 'unsent edit', 'the stored update is applied before the relays answer')
+  testing.compare(nostrProviderAlice.pendingCount, 1, 'the stored update waits in the outbox')
+  await connecting
+  testing.compare(statuses, ['error'])
+
+  // the room's relay takes the place of the dead one, the provider connects without another connect() call
+  const whenDrained = drained(nostrProviderAlice)
+  nostrProviderAlice.explicitRelayUrls = TEST_NOSTR_RELAYS
+  ndkAlice.pool.removeRelay(ndkAlice.explicitRelayUrls[0])
+  ndkAlice.explicitRelayUrls = []
+  ndkAlice.addExplicitRelay(TEST_NOSTR_RELAYS[0])
+  await nostrProviderAlice.whenSynced
+  await whenDrained
+  testing.assert(statuses.includes('connected'), 'the provider reconnected')
+
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'unsent edit', 'the stored update reached the relay')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testOutboxReportsStoreErrors = async tc => {
+  const nostrCRDTCreateEventId = await createRoom()
+  // a store that ran out of quota
+  const outboxStore = new MemoryOutboxStore()
+  outboxStore.put = async () => {
+    throw new Error('quota exceeded')
+  }
+  const errors = []
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: await connectedNdk(),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    outboxStore
+  })
+  nostrProviderAlice.on('outbox-error', ({ error }) => errors.push(error))
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+
+  const whenDrained = drained(nostrProviderAlice)
+  nostrProviderAlice.ydoc.getMap('test').set('contents', 'published anyway')
+  await whenDrained
+  testing.compare(errors.map(error => error.message), ['quota exceeded'])
+
+  const nostrProviderBob = await connectedProvider(nostrCRDTCreateEventId)
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('contents'), 'published anyway', 'the update is published without the store')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
+
+export const testOutboxSignerFailures = async tc => {
+  const nostrCRDTCreateEventId = await createRoom()
+  const secretNostrKey = generateSecretKey()
+  // like a NIP-07 extension whose user refuses every prompt
+  const signer = new NDKPrivateKeySigner(secretNostrKey)
+  let prompts = 0
+  signer.sign = async () => {
+    prompts++
+    throw new Error('signature refused')
+  }
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: await connectedNdk(secretNostrKey),
+    YJS_UPDATE_EVENT_KIND,
+    signer,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    retryDelay: 200
+  })
+  const outboxErrors = []
+  const errors = []
+  nostrProviderAlice.on('outbox-error', ({ error }) => outboxErrors.push(error.message))
+  nostrProviderAlice.on('error', ({ error }) => errors.push(error.message))
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(errors.includes('signature refused'), 'the awareness publish failed in the background')
+
+  const promptsBefore = prompts
+  nostrProviderAlice.ydoc.getMap('test').set('contents', 'unsigned')
+  await nostrProviderAlice.flush()
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(outboxErrors, ['signature refused'])
+  testing.compare(prompts - promptsBefore, 1, 'the signer is not asked again on a timer')
+  testing.compare(nostrProviderAlice.pendingCount, 1, 'the update stays in the outbox')
+  await testing.failsAsync(() => nostrProviderAlice.checkpoint())
+
+  nostrProviderAlice.destroy()
+}
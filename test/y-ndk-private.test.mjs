@@ -90,7 +90,7 @@ export const testSyncMap = async tc => {
 
   const initialLocalStateAlice = yjs.encodeStateAsUpdate(new yjs.Doc())
 
-  const nostrRoomId = await createNostrCRDTRoom(
+  const { id: nostrRoomId } = await createNostrCRDTRoom(
     aliceNdk,
     'testSyncYjsMap',
     initialLocalStateAlice,
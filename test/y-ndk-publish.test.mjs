@@ -0,0 +1,52 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  NostrProvider
+} from '../src/y-ndk.mjs'
+
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  createRoom
+} from './helpers.mjs'
+
+const UNREACHABLE_RELAY = 'ws://0.0.0.0:4445'
+
+export const testPublishReceipts = async tc => {
+  // no secretNostrKey, everything is signed by the ndk instance's signer
+  const ndkAlice = await connectedNdk()
+  const nostrCRDTCreateEventId = await createRoom()
+
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: ndkAlice,
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: [...TEST_NOSTR_RELAYS, UNREACHABLE_RELAY],
+    publishTimeout: 2000
+  })
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+
+  const scratchDoc = new yjs.Doc()
+  scratchDoc.getMap('test').set('contents', 'hello')
+  const receipts = await nostrProviderAlice.publishUpdate(yjs.encodeStateAsUpdate(scratchDoc))
+  testing.compare(receipts.length, 2, 'one receipt per relay')
+  const reachable = receipts.find(receipt => receipt.relay === 'ws://0.0.0.0:4444/')
+  const unreachable = receipts.find(receipt => receipt.relay === 'ws://0.0.0.0:4445/')
+  testing.assert(reachable?.ok, 'the test relay stored the update')
+  testing.assert(unreachable !== undefined && !unreachable.ok, 'the unreachable relay is reported')
+
+  const events = await ndkAlice.fetchEvents({
+    kinds: [YJS_UPDATE_EVENT_KIND],
+    authors: [(await ndkAlice.signer.user()).pubkey],
+    '#e': [nostrCRDTCreateEventId]
+  })
+  testing.assert(events.size > 0, 'the update reached the relay')
+
+  nostrProviderAlice.destroy()
+}
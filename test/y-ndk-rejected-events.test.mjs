@@ -0,0 +1,56 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import { toBase64 } from 'lib0/buffer'
+import {
+  NDKEvent
+} from '@nostr-dev-kit/ndk'
+import {
+  NostrProvider,
+  REJECT_MALFORMED_CONTENT,
+  REJECT_INVALID_UPDATE
+} from '../src/y-ndk.mjs'
+
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  createRoom
+} from './helpers.mjs'
+
+export const testRejectedEvents = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const ndkAlice = await connectedNdk(aliceSecretNostrKeyBytes)
+  const nostrCRDTCreateEventId = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes })
+
+  const publishContent = (content) => new NDKEvent(ndkAlice, {
+    kind: YJS_UPDATE_EVENT_KIND,
+    tags: [['e', nostrCRDTCreateEventId]],
+    content
+  }).publish()
+  const goodYdoc = new yjs.Doc()
+  goodYdoc.getMap('test').set('contents', 'survives')
+  await publishContent('not base64 at all!')
+  await publishContent(toBase64(new Uint8Array([1, 2, 3])))
+  await publishContent(toBase64(yjs.encodeStateAsUpdate(goodYdoc)))
+
+  const bobYdoc = new yjs.Doc()
+  const nostrProviderBob = new NostrProvider({
+    yjs,
+    ydoc: bobYdoc,
+    nostrRoomCreateEventId: nostrCRDTCreateEventId,
+    ndk: await connectedNdk(),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS
+  })
+  const rejected = []
+  nostrProviderBob.on('event-rejected', ({ reason }) => rejected.push(reason))
+  nostrProviderBob.connect()
+  await nostrProviderBob.whenSynced
+
+  testing.compare(bobYdoc.getMap('test').get('contents'), 'survives', 'valid events still apply')
+  testing.compare(rejected.sort(), [REJECT_INVALID_UPDATE, REJECT_MALFORMED_CONTENT], 'bad events are reported')
+  nostrProviderBob.destroy()
+}
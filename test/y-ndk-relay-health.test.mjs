@@ -0,0 +1,40 @@
+import * as testing from 'lib0/testing'
+import {
+  RELAY_CONNECTED,
+  RELAY_DISCONNECTED
+} from '../src/y-ndk.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testRelayReconnectGap = async tc => {
+  const nostrRoomId = await createRoom()
+  const nostrProviderAlice = await connectedProvider(nostrRoomId)
+  const nostrProviderBob = await connectedProvider(nostrRoomId, { publishTimeout: 1000 })
+  nostrProviderAlice.ydoc.getMap('test').set('before', 'both online')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  const statuses = []
+  nostrProviderBob.on('relay-status', ({ status }) => statuses.push(status))
+  const relay = Array.from(nostrProviderBob.ndk.pool.relays.values())[0]
+  testing.assert(nostrProviderBob.relayStatus[relay.url].lastSeen !== undefined, 'the relay delivered room events')
+
+  relay.disconnect()
+  await new Promise((resolve) => setTimeout(resolve, 300))
+  testing.compare(nostrProviderBob.relayStatus[relay.url].status, RELAY_DISCONNECTED)
+  nostrProviderAlice.ydoc.getMap('test').set('alice', 'while bob was away')
+  nostrProviderBob.ydoc.getMap('test').set('bob', 'while offline')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  await relay.connect()
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.compare(nostrProviderBob.relayStatus[relay.url].status, RELAY_CONNECTED)
+  testing.compare(nostrProviderBob.relayStatus[relay.url].disconnects, 1)
+  testing.assert(statuses.includes(RELAY_DISCONNECTED) && statuses.at(-1) === RELAY_CONNECTED, 'relay-status reported the drop')
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('alice'), 'while bob was away', 'bob caught up on the gap')
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').get('bob'), 'while offline', 'the relay got bob\'s offline edit')
+
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
@@ -0,0 +1,133 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey, getPublicKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import {
+  DEFAULT_MEMBERSHIP_EVENT_KIND,
+  NostrProvider,
+  RoomManager
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const updateFilters = (manager) => manager.filters().filter(filter => filter.kinds[0] === YJS_UPDATE_EVENT_KIND)
+
+export const testRoomManager = async tc => {
+  const ndkAlice = await connectedNdk()
+  const rooms = [await createRoom({ label: 'one' }), await createRoom({ label: 'two' }), await createRoom({ label: 'three' })]
+  const aliceProviders = []
+  for (const room of rooms) {
+    const provider = new NostrProvider({
+      yjs,
+      ydoc: new yjs.Doc(),
+      nostrRoomCreateEventId: room,
+      ndk: ndkAlice,
+      YJS_UPDATE_EVENT_KIND,
+      explicitRelayUrls: TEST_NOSTR_RELAYS
+    })
+    provider.connect()
+    await provider.whenSynced
+    aliceProviders.push(provider)
+  }
+
+  const ndkBob = await connectedNdk()
+  const liveSubscriptions = []
+  const subscribe = ndkBob.subscribe.bind(ndkBob)
+  ndkBob.subscribe = (filters, opts, ...rest) => {
+    if (opts?.closeOnEose === false) {
+      liveSubscriptions.push(filters)
+    }
+    return subscribe(filters, opts, ...rest)
+  }
+  const exitListeners = process.listenerCount('exit')
+  const manager = new RoomManager({
+    ndk: ndkBob,
+    yjs,
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    maxRoomsPerFilter: 2
+  })
+  const bobProviders = rooms.map(room => manager.openRoom({ ydoc: new yjs.Doc(), nostrRoomCreateEventId: room }))
+  testing.assert(manager.openRoom({ nostrRoomCreateEventId: rooms[0] }) === bobProviders[0], 'a room is opened once')
+  bobProviders.forEach(provider => provider.connect())
+  await Promise.all(bobProviders.map(provider => provider.whenSynced))
+
+  testing.assert(liveSubscriptions.every(Array.isArray), 'rooms share the manager\'s subscription')
+  testing.compare(updateFilters(manager).map(filter => filter['#e'].length), [2, 1], 'room ids are batched per filter')
+  testing.assert(bobProviders.every(provider => !provider.relayHealth.listen), 'rooms share the manager\'s pool listeners')
+  testing.compare(process.listenerCount('exit'), exitListeners + 1, 'rooms share the manager\'s exit hook')
+  testing.assert(Object.keys(bobProviders[0].relayStatus).length > 0, 'rooms still follow the relays')
+
+  aliceProviders[1].ydoc.getMap('test').set('room', 1)
+  bobProviders[2].ydoc.getMap('test').set('room', 2)
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(bobProviders.map(provider => provider.ydoc.getMap('test').get('room')), [undefined, 1, 2], 'events reach their room only')
+  testing.compare(aliceProviders[2].ydoc.getMap('test').get('room'), 2)
+
+  // rooms come and go while the others stay live
+  manager.closeRoom(rooms[0])
+  const added = await createRoom({ label: 'added' })
+  const addedProvider = manager.openRoom({ ydoc: new yjs.Doc(), nostrRoomCreateEventId: added })
+  addedProvider.connect()
+  await addedProvider.whenSynced
+  testing.compare(updateFilters(manager).flatMap(filter => filter['#e']).sort(), [rooms[1], rooms[2], added].sort())
+  const aliceAdded = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: added,
+    ndk: ndkAlice,
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS
+  })
+  aliceAdded.connect()
+  await aliceAdded.whenSynced
+  aliceAdded.ydoc.getMap('test').set('room', 'added')
+  aliceProviders[1].ydoc.getMap('test').set('room', 'still live')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(addedProvider.ydoc.getMap('test').get('room'), 'added')
+  testing.compare(bobProviders[1].ydoc.getMap('test').get('room'), 'still live')
+
+  manager.destroy()
+  testing.compare(manager.filters(), [], 'destroy closes every room')
+  aliceProviders.forEach(provider => provider.destroy())
+  aliceAdded.destroy()
+  testing.compare(process.listenerCount('exit'), exitListeners - aliceProviders.length)
+}
+
+export const testRoomManagerFollowsMembership = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const bobSecretNostrKeyBytes = generateSecretKey()
+  const bobPublicNostrKeyHex = getPublicKey(bobSecretNostrKeyBytes)
+  const room = await createRoom({ secretNostrKey: aliceSecretNostrKeyBytes, label: 'members', members: [] })
+  const nostrProviderAlice = await connectedProvider(room, { secretNostrKey: aliceSecretNostrKeyBytes })
+
+  const ndkBob = await connectedNdk(bobSecretNostrKeyBytes)
+  const liveSubscriptions = []
+  const subscribe = ndkBob.subscribe.bind(ndkBob)
+  ndkBob.subscribe = (filters, opts, ...rest) => {
+    if (opts?.closeOnEose === false) {
+      liveSubscriptions.push(filters)
+    }
+    return subscribe(filters, opts, ...rest)
+  }
+  const manager = new RoomManager({ ndk: ndkBob, yjs, YJS_UPDATE_EVENT_KIND, explicitRelayUrls: TEST_NOSTR_RELAYS })
+  const nostrProviderBob = manager.openRoom({ ydoc: new yjs.Doc(), nostrRoomCreateEventId: room })
+  nostrProviderBob.connect()
+  await nostrProviderBob.whenSynced
+  testing.assert(!nostrProviderBob.isWriter(bobPublicNostrKeyHex))
+  testing.assert(manager.filters().some(filter => filter.kinds[0] === DEFAULT_MEMBERSHIP_EVENT_KIND), 'membership updates go through the manager')
+  testing.assert(liveSubscriptions.every(Array.isArray), 'the room has no subscription of its own')
+
+  await nostrProviderAlice.addMembers([bobPublicNostrKeyHex])
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.assert(nostrProviderBob.isWriter(bobPublicNostrKeyHex), 'bob follows the membership update')
+
+  manager.destroy()
+  nostrProviderAlice.destroy()
+}
@@ -0,0 +1,114 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey, getPublicKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import {
+  NostrProvider,
+  createNostrCRDTRoom,
+  getRoom,
+  getRoomMetadata,
+  listRooms,
+  setRoomMetadata
+} from '../src/y-ndk.mjs'
+
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk
+} from './helpers.mjs'
+
+export const testListRooms = async tc => {
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const alicePublicNostrKeyHex = getPublicKey(aliceSecretNostrKeyBytes)
+  const bobPublicNostrKeyHex = getPublicKey(generateSecretKey())
+  const carolPublicNostrKeyHex = getPublicKey(generateSecretKey())
+
+  const ndkAlice = await connectedNdk(aliceSecretNostrKeyBytes)
+  const createRoom = (label, members) => createNostrCRDTRoom({
+    ndk: ndkAlice,
+    label,
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    members
+  })
+  const notes = await createRoom('notes', [bobPublicNostrKeyHex])
+  const todo = await createRoom('todo', [])
+
+  // carol is added after the room was created
+  const nostrProviderAlice = new NostrProvider({
+    yjs,
+    ydoc: new yjs.Doc(),
+    nostrRoomCreateEventId: todo.id,
+    ndk: ndkAlice,
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS
+  })
+  nostrProviderAlice.connect()
+  await nostrProviderAlice.whenSynced
+  await nostrProviderAlice.addMembers([carolPublicNostrKeyHex], { readOnly: true })
+
+  const ids = rooms => rooms.map(room => room.id).sort()
+  testing.compare(
+    ids(await listRooms(ndkAlice, { YJS_UPDATE_EVENT_KIND, authors: [alicePublicNostrKeyHex] })),
+    [notes.id, todo.id].sort(),
+    'my rooms'
+  )
+  testing.compare(
+    ids(await listRooms(ndkAlice, { YJS_UPDATE_EVENT_KIND, authors: [alicePublicNostrKeyHex], label: 'notes' })),
+    [notes.id],
+    'rooms with a label'
+  )
+  testing.compare(
+    ids(await listRooms(ndkAlice, { YJS_UPDATE_EVENT_KIND, member: bobPublicNostrKeyHex })),
+    [notes.id],
+    'rooms shared at creation'
+  )
+  testing.compare(
+    ids(await listRooms(ndkAlice, { YJS_UPDATE_EVENT_KIND, member: carolPublicNostrKeyHex })),
+    [todo.id],
+    'rooms shared later'
+  )
+
+  await nostrProviderAlice.removeMembers([carolPublicNostrKeyHex])
+  testing.compare(
+    await listRooms(ndkAlice, { YJS_UPDATE_EVENT_KIND, member: carolPublicNostrKeyHex }),
+    [],
+    'removed members lose the room'
+  )
+
+  const room = await getRoom(ndkAlice, notes.id)
+  testing.compare(room.label, 'notes', 'getRoom reads the label')
+  testing.compare(room.author, alicePublicNostrKeyHex, 'getRoom reads the author')
+  testing.assert(room.membership.writers.has(bobPublicNostrKeyHex), 'getRoom reads the members')
+
+  nostrProviderAlice.destroy()
+}
+
+export const testRoomMetadata = async tc => {
+  const ndkAlice = await connectedNdk()
+  const room = await createNostrCRDTRoom({
+    ndk: ndkAlice,
+    label: 'notes',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS
+  })
+  testing.compare(await getRoomMetadata(ndkAlice, room), {}, 'no metadata yet')
+
+  const metadata = {
+    title: 'Meeting notes',
+    description: 'weekly sync',
+    icon: 'https://example.com/icon.png',
+    relays: TEST_NOSTR_RELAYS
+  }
+  const receipts = await setRoomMetadata(ndkAlice, room, metadata, { explicitRelayUrls: TEST_NOSTR_RELAYS })
+  testing.assert(receipts.every(receipt => receipt.ok), 'the relay stored the metadata')
+  testing.compare(await getRoomMetadata(ndkAlice, room), metadata, 'metadata round trips')
+
+  // someone else's metadata for the room is ignored
+  const ndkMallory = await connectedNdk()
+  await setRoomMetadata(ndkMallory, room, { title: 'pwned' }, { explicitRelayUrls: TEST_NOSTR_RELAYS })
+  testing.compare((await getRoomMetadata(ndkAlice, room)).title, 'Meeting notes', 'only the owner sets metadata')
+}
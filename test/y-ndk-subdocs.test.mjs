@@ -0,0 +1,113 @@
+import * as testing from 'lib0/testing'
+import { generateSecretKey, getPublicKey } from 'nostr-tools'
+import * as yjs from 'yjs'
+import {
+  generateRoomKey,
+  nip44RoomKeyCipher
+} from '../src/y-ndk.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+export const testSubdocs = async tc => {
+  const workspace = await createRoom({ label: 'workspace' })
+  const alice = await connectedProvider(workspace, { subdocs: true })
+  const pages = alice.ydoc.getMap('pages')
+  const first = new yjs.Doc()
+  const second = new yjs.Doc()
+  pages.set('first', first)
+  pages.set('second', second)
+  first.getText('body').insert(0, 'hello')
+  second.getText('body').insert(0, 'second page')
+  const aliceFirst = await alice.loadSubdoc(first)
+  await aliceFirst.whenSynced
+  await (await alice.loadSubdoc(second)).whenSynced
+  testing.assert(aliceFirst.nostrRoomCreateEventId !== workspace, 'a subdoc has a room of its own')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+
+  const bob = await connectedProvider(workspace, { subdocs: true })
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  const bobFirst = bob.ydoc.getMap('pages').get('first')
+  testing.compare(bobFirst.guid, first.guid)
+  testing.compare(bob.subdocProviders.size, 0, 'unloaded subdocs are not fetched')
+  testing.compare(bobFirst.getText('body').toString(), '')
+
+  bobFirst.load()
+  const bobFirstProvider = await bob.loadSubdoc(bobFirst)
+  await bobFirstProvider.whenSynced
+  testing.compare(bobFirstProvider.nostrRoomCreateEventId, aliceFirst.nostrRoomCreateEventId, 'peers find the same child room')
+  testing.compare(bobFirst.getText('body').toString(), 'hello')
+  testing.compare(Array.from(bob.subdocProviders.keys()), [first.guid], 'only the loaded subdoc is connected')
+
+  bobFirst.getText('body').insert(5, ' world')
+  await new Promise((resolve) => setTimeout(resolve, 1000))
+  testing.compare(first.getText('body').toString(), 'hello world')
+  testing.compare(alice.ydoc.getText('body').toString(), '', 'subdoc content stays out of the parent room')
+
+  pages.delete('second')
+  testing.compare(Array.from(alice.subdocProviders.keys()), [first.guid], 'removed subdocs are closed')
+
+  alice.destroy()
+  bob.destroy()
+  testing.compare(bob.subdocProviders.size, 0)
+}
+
+export const testSubdocsFollowTheParent = async tc => {
+  const firstKey = nip44RoomKeyCipher(generateRoomKey())
+  const secondKey = nip44RoomKeyCipher(generateRoomKey())
+  const aliceSecretNostrKeyBytes = generateSecretKey()
+  const bobSecretNostrKeyBytes = generateSecretKey()
+  const bobPublicNostrKeyHex = getPublicKey(bobSecretNostrKeyBytes)
+  const workspace = await createRoom({
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    label: 'workspace',
+    members: [bobPublicNostrKeyHex],
+    encrypt: firstKey.encrypt
+  })
+  const alice = await connectedProvider(workspace, { secretNostrKey: aliceSecretNostrKeyBytes, subdocs: true, ...firstKey })
+  const bob = await connectedProvider(workspace, { secretNostrKey: bobSecretNostrKeyBytes, subdocs: true, ...firstKey })
+  const page = new yjs.Doc()
+  alice.ydoc.getMap('pages').set('page', page)
+  page.getText('body').insert(0, 'hello')
+  const alicePage = await alice.loadSubdoc(page)
+  await alicePage.whenSynced
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  const bobPage = bob.ydoc.getMap('pages').get('page')
+  bobPage.load()
+  const bobPageProvider = await bob.loadSubdoc(bobPage)
+  await bobPageProvider.whenSynced
+
+  // a new key reaches the open subdocs
+  const epoch = alice.rotateKey(secondKey.encrypt, secondKey.decrypt)
+  bob.addEpochKey(epoch, secondKey.decrypt, secondKey.encrypt)
+  await new Promise((resolve) => setTimeout(resolve, 0))
+  testing.compare(alicePage.epoch, epoch, 'the subdoc publishes in the new epoch')
+  testing.compare(bobPageProvider.epoch, epoch)
+  bobPage.getText('body').insert(5, ' world')
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.compare(page.getText('body').toString(), 'hello world', 'the subdoc syncs in the new epoch')
+
+  // removing bob from the workspace removes him from its subdocs
+  await alice.removeMembers([bobPublicNostrKeyHex])
+  await new Promise((resolve) => setTimeout(resolve, 500))
+  testing.assert(!alicePage.isWriter(bobPublicNostrKeyHex), 'the subdoc follows the workspace membership')
+  testing.assert(!bobPageProvider.mayPublishUpdates(), 'bob follows it too')
+
+  // bob's edit from before the removal stays, the owner's snapshot of the subdoc covers it
+  const alice2 = await connectedProvider(workspace, {
+    secretNostrKey: aliceSecretNostrKeyBytes,
+    subdocs: true,
+    ...secondKey,
+    epoch,
+    keyring: [[0, firstKey.decrypt]]
+  })
+  const alice2Page = alice2.ydoc.getMap('pages').get('page')
+  alice2Page.load()
+  await (await alice2.loadSubdoc(alice2Page)).whenSynced
+  testing.compare(alice2Page.getText('body').toString(), 'hello world')
+
+  alice.destroy()
+  bob.destroy()
+  alice2.destroy()
+}
@@ -0,0 +1,111 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import { messageYjsSyncStep1, messageYjsSyncStep2 } from 'y-protocols/sync'
+import {
+  DEFAULT_SYNC_EVENT_KIND,
+  NIP44_ROOM_KEY_CIPHER,
+  createNostrCRDTRoom,
+  decodeEnvelope,
+  generateRoomKey,
+  nip44RoomKeyCipher
+} from '../src/y-ndk.mjs'
+import {
+  YJS_UPDATE_EVENT_KIND
+} from './magic.mjs'
+import {
+  TEST_NOSTR_RELAYS,
+  connectedNdk,
+  connectedProvider
+} from './helpers.mjs'
+
+/**
+* Changes a document the way a relay that pruned history would, the provider never publishes them
+*/
+const applyUnpublished = (provider, key, value) => {
+  const scratch = new yjs.Doc()
+  scratch.getMap('test').set(key, value)
+  yjs.applyUpdate(provider.ydoc, yjs.encodeStateAsUpdate(scratch), provider)
+}
+
+export const testSyncHandshakeRecoversLostUpdates = async tc => {
+  const roomKey = generateRoomKey()
+  const ndk = await connectedNdk()
+  const { id: nostrRoomId } = await createNostrCRDTRoom({
+    ndk,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    cipher: nip44RoomKeyCipher(roomKey)
+  })
+  const handshakeContents = []
+  const sub = ndk.subscribe({ kinds: [DEFAULT_SYNC_EVENT_KIND], '#e': [nostrRoomId] }, { closeOnEose: false })
+  sub.on('event', event => handshakeContents.push(event.content))
+
+  const options = { syncHandshake: true, syncInterval: 500, cipher: nip44RoomKeyCipher(roomKey) }
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, options)
+  const nostrProviderBob = await connectedProvider(nostrRoomId, options)
+  // a peer without the handshake ignores it
+  const nostrProviderCarol = await connectedProvider(nostrRoomId, { cipher: nip44RoomKeyCipher(roomKey) })
+
+  applyUnpublished(nostrProviderAlice, 'alice', 'only on alice')
+  applyUnpublished(nostrProviderBob, 'bob', 'only on bob')
+  await new Promise((resolve) => setTimeout(resolve, 2000))
+
+  const both = { alice: 'only on alice', bob: 'only on bob' }
+  testing.compare(nostrProviderAlice.ydoc.getMap('test').toJSON(), both, 'alice got bob\'s lost update')
+  testing.compare(nostrProviderBob.ydoc.getMap('test').toJSON(), both, 'bob got alice\'s lost update')
+  testing.compare(nostrProviderCarol.ydoc.getMap('test').toJSON(), both, 'recovered updates were published to relays')
+  testing.assert(handshakeContents.length > 0, 'handshake events were published')
+  testing.assert(
+    handshakeContents.every(content => decodeEnvelope(content)?.cipher === NIP44_ROOM_KEY_CIPHER),
+    'handshake messages are encrypted with the room cipher'
+  )
+
+  const sentTypes = []
+  const publishSyncMessage = nostrProviderAlice.publishSyncMessage.bind(nostrProviderAlice)
+  nostrProviderAlice.publishSyncMessage = (type, data) => {
+    sentTypes.push(type)
+    return publishSyncMessage(type, data)
+  }
+  await new Promise((resolve) => setTimeout(resolve, 1500))
+  testing.assert(sentTypes.includes(messageYjsSyncStep1), 'alice keeps announcing her state')
+  testing.assert(!sentTypes.includes(messageYjsSyncStep2), 'peers in sync don\'t answer with diffs')
+
+  sub.stop()
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+  nostrProviderCarol.destroy()
+}
+
+export const testSyncHandshakeChunksLargeDiffs = async tc => {
+  const roomKey = generateRoomKey()
+  const ndk = await connectedNdk()
+  const { id: nostrRoomId } = await createNostrCRDTRoom({
+    ndk,
+    label: 'crdtroom',
+    initialLocalState: yjs.encodeStateAsUpdate(new yjs.Doc()),
+    YJS_UPDATE_EVENT_KIND,
+    explicitRelayUrls: TEST_NOSTR_RELAYS,
+    cipher: nip44RoomKeyCipher(roomKey)
+  })
+  const handshakeEvents = []
+  const sub = ndk.subscribe({ kinds: [DEFAULT_SYNC_EVENT_KIND], '#e': [nostrRoomId] }, { closeOnEose: false })
+  sub.on('event', event => handshakeEvents.push(event))
+
+  const options = { syncHandshake: true, syncInterval: 500, chunkSize: 1000, cipher: nip44RoomKeyCipher(roomKey) }
+  const nostrProviderAlice = await connectedProvider(nostrRoomId, options)
+  const nostrProviderBob = await connectedProvider(nostrRoomId, options)
+
+  const large = 'x'.repeat(5000)
+  applyUnpublished(nostrProviderAlice, 'alice', large)
+  await new Promise((resolve) => setTimeout(resolve, 2000))
+
+  testing.compare(nostrProviderBob.ydoc.getMap('test').get('alice'), large, 'bob got the diff in chunks')
+  testing.assert(handshakeEvents.some(event => event.tags.some(tag => tag[0] === 'chunk')), 'the diff was chunked')
+  testing.assert(handshakeEvents.every(event => event.content.length <= 1000), 'no sync event is larger than chunkSize')
+
+  sub.stop()
+  nostrProviderAlice.destroy()
+  nostrProviderBob.destroy()
+}
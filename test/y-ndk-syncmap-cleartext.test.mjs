@@ -29,7 +29,7 @@ export const testSyncMapCleartext = async tc => {
   const aliceYdoc = new yjs.Doc()
   const initialLocalStateAlice = yjs.encodeStateAsUpdate(aliceYdoc)
 
-  const nostrCRDTCreateEventId = await createNostrCRDTRoom({
+  const { id: nostrCRDTCreateEventId } = await createNostrCRDTRoom({
     ndk: ndkAlice,
     label: 'crdtroom',
     initialLocalState: initialLocalStateAlice,
@@ -54,7 +54,7 @@ export const testSyncMapEncrypted = async tc => {
   const aliceYdoc = new yjs.Doc()
   const initialLocalStateAlice = yjs.encodeStateAsUpdate(aliceYdoc)
 
-  const nostrCRDTCreateEventId = await createNostrCRDTRoom({
+  const { id: nostrCRDTCreateEventId } = await createNostrCRDTRoom({
     ndk: ndkAlice,
     label: 'crdtroom',
     initialLocalState: initialLocalStateAlice,
@@ -0,0 +1,92 @@
+import * as testing from 'lib0/testing'
+import * as yjs from 'yjs'
+import {
+  REJECT_REJECTED_DEPENDENCY,
+  REJECT_VALIDATION_FAILED,
+  rootTypeNames
+} from '../src/y-ndk.mjs'
+import {
+  connectedProvider,
+  createRoom
+} from './helpers.mjs'
+
+const published = () => new Promise((resolve) => setTimeout(resolve, 1000))
+
+// the app's data model: one map named test, with a string title
+const validateUpdate = ({ update, preview }) => {
+  if (Array.from(rootTypeNames(yjs, update)).some(name => name !== 'test')) {
+    return false
+  }
+  const title = preview().getMap('test').get('title')
+  if (title !== undefined && typeof title !== 'string') {
+    throw new Error('title must be a string')
+  }
+  return true
+}
+
+export const testValidateUpdate = async tc => {
+  const nostrRoomId = await createRoom()
+  const alice = await connectedProvider(nostrRoomId)
+  const dave = await connectedProvider(nostrRoomId)
+  const bob = await connectedProvider(nostrRoomId, { validateUpdate, quarantine: true })
+  const rejected = []
+  bob.on('event-rejected', (rejection) => rejected.push(rejection))
+
+  alice.ydoc.getMap('test').set('title', 'ok')
+  await published()
+  testing.compare(bob.ydoc.getMap('test').get('title'), 'ok', 'valid updates are applied')
+
+  dave.ydoc.getMap('test').set('title', 42)
+  await published()
+  testing.compare(bob.ydoc.getMap('test').get('title'), 'ok')
+  testing.compare(rejected.map(({ reason }) => reason), [REJECT_VALIDATION_FAILED])
+  testing.compare(rejected[0].error.message, 'title must be a string')
+
+  // dave's later updates build on the rejected one, the other clients keep syncing
+  dave.ydoc.getMap('test').set('dave', 'again')
+  alice.ydoc.getMap('test').set('alice', 'still syncs')
+  await published()
+  testing.compare(bob.ydoc.getMap('test').toJSON(), { title: 'ok', alice: 'still syncs' })
+  testing.compare(rejected.map(({ reason }) => reason), [REJECT_VALIDATION_FAILED, REJECT_REJECTED_DEPENDENCY])
+
+  alice.ydoc.getText('unexpected').insert(0, 'surprise')
+  await published()
+  testing.assert(!bob.ydoc.share.has('unexpected'), 'unexpected top-level types never reach the document')
+  testing.compare(rejected.length, 3)
+  const quarantined = bob.quarantined.get(rejected[2].event.id)
+  testing.compare(quarantined.author, alice.pubkey)
+
+  alice.ydoc.getMap('test').set('later', true)
+  await published()
+  testing.compare(bob.ydoc.getMap('test').get('later'), undefined)
+  testing.compare(rejected[3].reason, REJECT_REJECTED_DEPENDENCY)
+  // accepting it validates the updates that build on it again
+  await bob.acceptQuarantined(rejected[2].event.id)
+  testing.compare(bob.ydoc.getText('unexpected').toString(), 'surprise')
+  testing.compare(bob.ydoc.getMap('test').get('later'), true)
+  testing.compare(bob.quarantined.size, 2, 'dave\'s updates are still quarantined')
+  bob.dropQuarantined(rejected[0].event.id)
+  bob.dropQuarantined(rejected[1].event.id)
+  testing.compare(bob.quarantined.size, 0)
+
+  // the initial sync validates every stored update too
+  const carol = await connectedProvider(nostrRoomId, { validateUpdate })
+  testing.compare(carol.ydoc.getMap('test').toJSON(), { title: 'ok', alice: 'still syncs' })
+  testing.assert(!carol.ydoc.share.has('unexpected'))
+  testing.compare(carol.quarantined.size, 0, 'nothing is kept without quarantine')
+
+  // history leaves out what the hook rejects, updates accepted from quarantine stay in
+  const latest = rejected[3].event.created_at
+  const carolVersion = await carol.docAt(latest)
+  testing.compare(carolVersion.getMap('test').toJSON(), { title: 'ok', alice: 'still syncs' })
+  testing.assert(!carolVersion.share.has('unexpected'))
+  testing.assert((await carol.getHistory()).every(entry => entry.author === alice.pubkey))
+  const bobVersion = await bob.docAt(latest)
+  testing.compare(bobVersion.getMap('test').toJSON(), { title: 'ok', alice: 'still syncs', later: true })
+  testing.compare(bobVersion.getText('unexpected').toString(), 'surprise')
+
+  alice.destroy()
+  dave.destroy()
+  bob.destroy()
+  carol.destroy()
+}